@@ -4,9 +4,12 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startSyncScheduler } from "./utils/syncScheduler.server";
 
 export const streamTimeout = 5000;
 
+startSyncScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
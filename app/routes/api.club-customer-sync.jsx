@@ -1,6 +1,7 @@
 import crypto from "node:crypto";
 import { getSupabaseAdmin } from "../supabase.server";
 import { unauthenticated } from "../shopify.server";
+import { stampCustomerProfileShop } from "../utils/compliance.server";
 
 const TABLE = "Lovable_Shopify_Integration_CusotmerProfil";
 
@@ -138,6 +139,8 @@ export async function action({ request }) {
   updated_at,
   created_at
 `)
+            // this shop's rows, or rows the profile writer left without a shop
+            .or(`shop.eq."${shop}",shop.is.null`)
             .order("updated_at", { ascending: false })
             .limit(1);
 
@@ -165,6 +168,8 @@ export async function action({ request }) {
             );
         }
 
+        await stampCustomerProfileShop(supabase, shop, [row.id]);
+
         const firstName = cleanText(row.customer_first_name);
         const lastName = cleanText(row.customer_last_name);
         const phone = normalizePhone(row.parent_phone);
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import { getSupabaseAdmin } from "../supabase.server";
+import { stampCustomerProfileShop } from "../utils/compliance.server";
 
 const TABLE = "Lovable_Shopify_Integration_CusotmerProfil";
 
@@ -26,6 +27,18 @@ function normalizeCustomerId(value) {
     return match ? match[1] : raw;
 }
 
+// The customer account token's dest is the shop domain, with or without a scheme
+function shopFromDest(dest) {
+    const raw = cleanText(dest);
+    if (!raw) return "";
+
+    try {
+        return new URL(raw.includes("://") ? raw : `https://${raw}`).hostname;
+    } catch {
+        return "";
+    }
+}
+
 function normalizeStudents(rows = []) {
     const out = [];
 
@@ -72,13 +85,19 @@ export async function loader({ request }) {
         }
 
         const supabase = getSupabaseAdmin();
+        const shop = shopFromDest(sessionToken?.dest);
 
-        const { data, error } = await supabase
+        let query = supabase
             .from(TABLE)
             .select("*")
             .eq("shopify_customer_id", shopifyCustomerId)
             .order("created_at", { ascending: true });
 
+        // this shop's rows, or rows the profile writer left without a shop
+        if (shop) query = query.or(`shop.eq."${shop}",shop.is.null`);
+
+        const { data, error } = await query;
+
         if (error) {
             return cors(
                 jsonResponse(
@@ -91,6 +110,8 @@ export async function loader({ request }) {
         const rows = data || [];
         const firstRow = rows[0] || null;
 
+        await stampCustomerProfileShop(supabase, shop, rows.map((r) => r.id));
+
         if (!firstRow) {
             return cors(
                 jsonResponse({
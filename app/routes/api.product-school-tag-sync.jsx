@@ -1,28 +1,13 @@
 import crypto from "node:crypto";
 import { getSupabaseAdmin } from "../supabase.server";
 import { unauthenticated } from "../shopify.server";
+import { getActiveSchoolLookups } from "../utils/schools.server";
+import { removeUnjustifiedSchoolTags } from "../utils/schoolTags.server";
+import { startMappingHistory } from "../utils/mappingHistory.server";
+import { pushGradeMetafieldsIfEnabled } from "../utils/gradeMetafield.server";
 
 const TABLE = "product_grade_collection";
-
-const COLLECTION_GID_TO_SCHOOL_TAG = {
-    "gid://shopify/Collection/276875411527": "Regina Dominican Shop",
-    "gid://shopify/Collection/282935689287": "FSHA SHOP",
-    "gid://shopify/Collection/276875509831": "AOLP SHOP",
-    "gid://shopify/Collection/276875280455": "Castilleja Shop",
-    "gid://shopify/Collection/276875444295": "NDB Shop",
-    "gid://shopify/Collection/276875247687": "Marlborough Shop",
-};
-
-const SCHOOL_TAG_TO_COLLECTION_ID = Object.fromEntries(
-    Object.entries(COLLECTION_GID_TO_SCHOOL_TAG).map(([collectionId, schoolTag]) => [
-        String(schoolTag).trim().toLowerCase(),
-        {
-            collection_id: collectionId,
-            collection_title: schoolTag,
-            collection_handle: null,
-        },
-    ])
-);
+const OPERATIONS = ["add", "remove"];
 
 function jsonResponse(data, init = {}) {
     return new Response(JSON.stringify(data), {
@@ -79,17 +64,15 @@ function parseSchoolTags(value) {
     ];
 }
 
-function getMappedCollectionIdsFromTags(tags = []) {
+function getMappedCollectionIdsFromTags(tags = [], collectionIdByTag = {}) {
     const mapped = new Map();
 
     for (const rawTag of tags) {
         const tag = cleanText(rawTag);
         if (!tag) continue;
 
-        const found = SCHOOL_TAG_TO_COLLECTION_ID[tag.toLowerCase()];
-        if (!found) continue;
-
-        const collectionId = found.collection_id;
+        const collectionId = collectionIdByTag[tag.toLowerCase()];
+        if (!collectionId) continue;
 
         if (!mapped.has(collectionId)) {
             mapped.set(collectionId, {
@@ -177,6 +160,7 @@ export async function action({ request }) {
     const shop = cleanText(process.env.SHOPIFY_STORE_DOMAIN);
     const shopifyProductId = toProductGid(body?.shopify_product_id);
     const schoolTags = parseSchoolTags(body?.school_tag);
+    const operation = cleanText(body?.operation || "add").toLowerCase();
 
     if (!shop) {
         return jsonResponse(
@@ -199,6 +183,13 @@ export async function action({ request }) {
         );
     }
 
+    if (!OPERATIONS.includes(operation)) {
+        return jsonResponse(
+            { ok: false, error: `Unknown operation: ${operation}` },
+            { status: 400 }
+        );
+    }
+
     try {
         const { admin } = await unauthenticated.admin(shop);
         const supabase = getSupabaseAdmin();
@@ -226,6 +217,81 @@ export async function action({ request }) {
         }
 
         const existingTags = Array.isArray(product.tags) ? product.tags : [];
+
+        if (operation === "remove") {
+            const { collectionIdByTag } = await getActiveSchoolLookups(supabase, shop);
+            const mappedCollections = getMappedCollectionIdsFromTags(schoolTags, collectionIdByTag);
+            const collectionIds = mappedCollections.map((item) => item.collection_id);
+            let deletedRows = [];
+            let gradeMetafield = null;
+
+            // Only registered school tags may be removed; anything else ("sale"...) is ignored
+            const registeredTags = schoolTags.filter((tag) => collectionIdByTag[tag.toLowerCase()]);
+            const ignoredTags = schoolTags.filter((tag) => !collectionIdByTag[tag.toLowerCase()]);
+
+            if (collectionIds.length) {
+                const history = await startMappingHistory(
+                    supabase,
+                    shop,
+                    { productIds: [shopifyProductId] },
+                    { source: "api", sourceRef: "school-tag-sync" }
+                );
+
+                const { data, error } = await supabase
+                    .from(TABLE)
+                    .delete()
+                    .eq("shop", shop)
+                    .eq("shopify_product_id", shopifyProductId)
+                    .in("collection_id", collectionIds)
+                    .select();
+
+                if (error) {
+                    return jsonResponse(
+                        { ok: false, error: `Supabase delete failed: ${error.message}` },
+                        { status: 500 }
+                    );
+                }
+
+                deletedRows = data || [];
+                await history.record();
+
+                [gradeMetafield = null] = await pushGradeMetafieldsIfEnabled(admin, supabase, shop, [
+                    shopifyProductId,
+                ]);
+            }
+
+            // A tag another mapping still justifies stays on the product
+            const { removedTags, keptTags } = await removeUnjustifiedSchoolTags(
+                admin,
+                supabase,
+                shop,
+                shopifyProductId,
+                registeredTags
+            );
+
+            const removedTagSet = new Set(removedTags.map((tag) => tag.toLowerCase()));
+
+            return jsonResponse({
+                ok: true,
+                operation,
+                message: removedTags.length
+                    ? "School tags removed and collection mappings deleted"
+                    : "No Shopify tags removed; collection mappings deleted",
+                product: {
+                    id: product.id,
+                    title: product.title,
+                    handle: product.handle,
+                    tags: existingTags.filter((tag) => !removedTagSet.has(String(tag).trim().toLowerCase())),
+                },
+                receivedSchoolTags: schoolTags,
+                removedTags,
+                keptTags,
+                ignoredTags,
+                mappedCollections,
+                deletedRows,
+                gradeMetafield,
+            });
+        }
         const existingTagSet = new Set(
             existingTags.map((tag) => String(tag).trim().toLowerCase())
         );
@@ -264,8 +330,15 @@ export async function action({ request }) {
             updatedProduct = addResult?.data?.tagsAdd?.node || product;
         }
 
-        const mappedCollections = getMappedCollectionIdsFromTags(schoolTags);
+        const { collectionIdByTag } = await getActiveSchoolLookups(supabase, shop);
+        const mappedCollections = getMappedCollectionIdsFromTags(schoolTags, collectionIdByTag);
         const upsertedRows = [];
+        const history = await startMappingHistory(
+            supabase,
+            shop,
+            { productIds: [shopifyProductId] },
+            { source: "api", sourceRef: "school-tag-sync" }
+        );
 
         for (const item of mappedCollections) {
             const collectionResponse = await admin.graphql(COLLECTION_BY_ID_QUERY, {
@@ -294,6 +367,7 @@ export async function action({ request }) {
             }
 
             const payload = {
+                shop,
                 shopify_product_id: shopifyProductId,
                 product_title: updatedProduct?.title || product?.title || null,
                 product_handle: updatedProduct?.handle || product?.handle || null,
@@ -307,7 +381,7 @@ export async function action({ request }) {
             const { data, error } = await supabase
                 .from(TABLE)
                 .upsert(payload, {
-                    onConflict: "shopify_product_id,collection_id",
+                    onConflict: "shop,shopify_product_id,collection_id",
                 })
                 .select();
 
@@ -327,8 +401,15 @@ export async function action({ request }) {
             }
         }
 
+        await history.record();
+
+        const [gradeMetafield = null] = await pushGradeMetafieldsIfEnabled(admin, supabase, shop, [
+            shopifyProductId,
+        ]);
+
         return jsonResponse({
             ok: true,
+            operation,
             message: tagsToAdd.length
                 ? "School tags added and collection mappings updated"
                 : "No new Shopify tags needed; collection mappings updated",
@@ -342,6 +423,7 @@ export async function action({ request }) {
             addedTags: tagsToAdd,
             mappedCollections,
             upsertedRows,
+            gradeMetafield,
         });
     } catch (error) {
         return jsonResponse(
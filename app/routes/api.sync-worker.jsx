@@ -1,6 +1,9 @@
 import { getSupabaseAdmin } from "../supabase.server";
-import { processOneSyncBatch } from "../utils/syncGrades.server";
-import { unauthenticated } from "../shopify.server";
+import {
+    claimSyncJob,
+    createWorkerId,
+    runClaimedSyncJob,
+} from "../utils/syncScheduler.server";
 
 export const action = async ({ request }) => {
     const url = new URL(request.url);
@@ -16,19 +19,14 @@ export const action = async ({ request }) => {
     }
 
     const supabase = getSupabaseAdmin();
+    const workerId = createWorkerId();
 
-    const { data: job, error: jobErr } = await supabase
-        .from("sync_jobs")
-        .select("*")
-        .eq("shop", shop)
-        .eq("job_type", "grade_sync")
-        .in("status", ["queued", "running", "paused"])
-        .order("id", { ascending: true })
-        .limit(1)
-        .maybeSingle();
-
-    if (jobErr) {
-        return Response.json({ ok: false, error: jobErr.message }, { status: 500 });
+    // Same lock as the in-process scheduler, so the two never run the same batch
+    let job = null;
+    try {
+        job = await claimSyncJob(supabase, workerId, { shop });
+    } catch (e) {
+        return Response.json({ ok: false, error: e?.message || String(e) }, { status: 500 });
     }
 
     if (!job) {
@@ -36,21 +34,7 @@ export const action = async ({ request }) => {
     }
 
     try {
-        const { admin } = await unauthenticated.admin(shop);
-
-        // If paused do nothing
-        if (job.status === "paused") {
-            return Response.json({
-                ok: true,
-                jobId: job.id,
-                message: "Sync paused"
-            });
-        }
-
-        const result = await processOneSyncBatch({
-            admin,
-            jobId: job.id,
-        });
+        const { result } = await runClaimedSyncJob(supabase, job, workerId, { maxBatches: 1 });
 
         return Response.json({
             ok: true,
@@ -67,4 +51,4 @@ export const action = async ({ request }) => {
             { status: 500 }
         );
     }
-};
\ No newline at end of file
+};
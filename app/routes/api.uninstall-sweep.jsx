@@ -0,0 +1,32 @@
+import { getSupabaseAdmin } from "../supabase.server";
+import { purgeExpiredShops } from "../utils/shopData.server";
+import { purgeExpiredDataExports } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+    const workerToken = request.headers.get("x-worker-token");
+
+    if (!process.env.SYNC_WORKER_TOKEN || workerToken !== process.env.SYNC_WORKER_TOKEN) {
+        return Response.json({ ok: false, error: "Unauthorized" }, { status: 401 });
+    }
+
+    try {
+        const supabase = getSupabaseAdmin();
+        const results = await purgeExpiredShops(supabase);
+        const expiredExports = await purgeExpiredDataExports(supabase);
+
+        return Response.json({
+            ok: results.every((r) => r.ok),
+            purged: results.filter((r) => r.ok).length,
+            results,
+            expiredExports,
+        });
+    } catch (e) {
+        return Response.json(
+            {
+                ok: false,
+                error: e?.message || String(e),
+            },
+            { status: 500 }
+        );
+    }
+};
@@ -19,6 +19,12 @@ const HOME_CARDS = [
     path: "/home/product-sort",
     icon: "drag",
   },
+  {
+    title: "Reconciliation",
+    desc: "Compare the Shopify catalogue with the mappings.",
+    path: "/home/reconciliation",
+    icon: "check",
+  },
   {
     title: "Club Customers",
     desc: "Manage club customer profiles.",
@@ -71,6 +77,10 @@ function getIcon(type) {
   if (type === "user") {
     return <span>👤</span>;
   }
+
+  if (type === "check") {
+    return <span>✅</span>;
+  }
   return <span>•</span>;
 }
 
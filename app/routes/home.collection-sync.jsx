@@ -0,0 +1,293 @@
+// app/routes/home.collection-sync.jsx
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { getSchools } from "../utils/schools.server";
+import {
+    applyCollectionMembership,
+    getCollectionMembershipLog,
+    previewCollectionMembership,
+    undoCollectionMembershipChange,
+} from "../utils/collectionMembership.server";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Select,
+    Button,
+    Badge,
+} from "@shopify/polaris";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function safeErrToString(e) {
+    if (!e) return "Unknown error";
+    if (typeof e === "string") return e;
+    if (e?.message && typeof e.message === "string") return e.message;
+    try {
+        return JSON.stringify(e);
+    } catch {
+        return String(e);
+    }
+}
+
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const schools = (await getSchools(supabase, shop)).filter((s) => s.sync_collection_membership);
+    const log = await getCollectionMembershipLog(supabase, shop);
+
+    return { schools, log };
+};
+
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+    const form = await request.formData();
+    const intent = cleanText(form.get("intent"));
+
+    try {
+        if (intent === "preview") {
+            const preview = await previewCollectionMembership(
+                admin,
+                supabase,
+                shop,
+                cleanText(form.get("collectionId"))
+            );
+            return { ok: true, intent, preview };
+        }
+
+        if (intent === "apply") {
+            const result = await applyCollectionMembership(
+                admin,
+                supabase,
+                shop,
+                cleanText(form.get("collectionId")),
+                {
+                    addIds: JSON.parse(String(form.get("addIds") || "[]")),
+                    removeIds: JSON.parse(String(form.get("removeIds") || "[]")),
+                }
+            );
+            return { ok: true, intent, result };
+        }
+
+        if (intent === "undo") {
+            const entry = await undoCollectionMembershipChange(
+                admin,
+                supabase,
+                shop,
+                Number.parseInt(cleanText(form.get("logId")), 10)
+            );
+            return { ok: true, intent, entry };
+        }
+
+        return { ok: false, intent, error: "Unknown intent" };
+    } catch (e) {
+        return { ok: false, intent, error: safeErrToString(e) };
+    }
+};
+
+function ProductList({ title, tone, products }) {
+    return (
+        <BlockStack gap="200">
+            <InlineStack gap="200" blockAlign="center">
+                <Text as="h3" variant="headingSm">
+                    {title}
+                </Text>
+                <Badge tone={products.length ? tone : undefined}>{String(products.length)}</Badge>
+            </InlineStack>
+
+            {products.length ? (
+                <DataTable
+                    columnContentTypes={["text", "text"]}
+                    headings={["Product", "Handle"]}
+                    rows={products.map((p) => [p.title || p.id, p.handle || "—"])}
+                />
+            ) : (
+                <Text as="p" tone="subdued">
+                    None.
+                </Text>
+            )}
+        </BlockStack>
+    );
+}
+
+export default function CollectionSyncPage() {
+    const { schools, log } = useLoaderData();
+    const fetcher = useFetcher();
+    const undoFetcher = useFetcher();
+
+    const [collectionId, setCollectionId] = useState(schools[0]?.collection_id || "");
+    const [preview, setPreview] = useState(null);
+
+    useEffect(() => {
+        if (fetcher.state !== "idle" || !fetcher.data?.ok) return;
+        if (fetcher.data.intent === "preview") setPreview(fetcher.data.preview);
+        if (fetcher.data.intent === "apply") setPreview(null);
+    }, [fetcher.state, fetcher.data]);
+
+    const isBusy = fetcher.state !== "idle";
+    const error =
+        fetcher.data?.ok === false
+            ? fetcher.data.error
+            : undoFetcher.data?.ok === false
+                ? undoFetcher.data.error
+                : null;
+
+    const pendingCount = preview ? preview.toAdd.length + preview.toRemove.length : 0;
+    const schoolNameByCollectionId = Object.fromEntries(schools.map((s) => [s.collection_id, s.display_name]));
+
+    const submit = (intent) => fetcher.submit({ intent, collectionId }, { method: "POST" });
+
+    // Send exactly what was reviewed; the server refuses if it no longer matches
+    const apply = () =>
+        fetcher.submit(
+            {
+                intent: "apply",
+                collectionId,
+                addIds: JSON.stringify(preview.toAdd.map((p) => p.id)),
+                removeIds: JSON.stringify(preview.toRemove.map((p) => p.id)),
+            },
+            { method: "POST" }
+        );
+
+    return (
+        <Page
+            title="Collection sync"
+            subtitle="Make a school's manual Shopify collection contain exactly its mapped products"
+        >
+            <Layout>
+                <Layout.Section>
+                    <BlockStack gap="400">
+                        {error && (
+                            <Banner tone="critical" title="Collection sync error">
+                                <p>{error}</p>
+                            </Banner>
+                        )}
+
+                        {fetcher.data?.ok && fetcher.data.intent === "apply" && (
+                            <Banner tone="success" title="Collection updated">
+                                <p>
+                                    Added {fetcher.data.result.toAdd.length}, removed {fetcher.data.result.toRemove.length}.
+                                    Removals finish in the background on Shopify&apos;s side.
+                                </p>
+                            </Banner>
+                        )}
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                {schools.length === 0 ? (
+                                    <Text as="p" tone="subdued">
+                                        No school has collection sync enabled. Turn it on per school on the Settings page.
+                                    </Text>
+                                ) : (
+                                    <BlockStack gap="400">
+                                        <InlineStack gap="200" blockAlign="end">
+                                            <div style={{ minWidth: 280 }}>
+                                                <Select
+                                                    label="School"
+                                                    options={schools.map((s) => ({
+                                                        label: s.display_name,
+                                                        value: s.collection_id,
+                                                    }))}
+                                                    value={collectionId}
+                                                    onChange={(value) => {
+                                                        setCollectionId(value);
+                                                        setPreview(null);
+                                                    }}
+                                                />
+                                            </div>
+                                            <Button
+                                                loading={isBusy && fetcher.formData?.get("intent") === "preview"}
+                                                disabled={isBusy}
+                                                onClick={() => submit("preview")}
+                                            >
+                                                Preview changes
+                                            </Button>
+                                            <Button
+                                                variant="primary"
+                                                loading={isBusy && fetcher.formData?.get("intent") === "apply"}
+                                                disabled={isBusy || !preview || pendingCount === 0}
+                                                onClick={apply}
+                                            >
+                                                Apply {pendingCount ? `(${pendingCount})` : ""}
+                                            </Button>
+                                        </InlineStack>
+
+                                        {preview ? (
+                                            <BlockStack gap="400">
+                                                <ProductList title="Will be added" tone="success" products={preview.toAdd} />
+                                                <ProductList title="Will be removed" tone="critical" products={preview.toRemove} />
+                                            </BlockStack>
+                                        ) : null}
+                                    </BlockStack>
+                                )}
+                            </div>
+                        </Card>
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                <BlockStack gap="300">
+                                    <Text as="h2" variant="headingMd">
+                                        Change log
+                                    </Text>
+
+                                    {log.length === 0 ? (
+                                        <Text as="p" tone="subdued">
+                                            No collection changes yet.
+                                        </Text>
+                                    ) : (
+                                        log.map((entry) => (
+                                            <InlineStack key={entry.id} align="space-between" blockAlign="center">
+                                                <Text as="span">
+                                                    {new Date(entry.created_at).toLocaleString()} ·{" "}
+                                                    {entry.action === "add" ? "Added" : "Removed"} {(entry.product_ids || []).length}{" "}
+                                                    {entry.action === "add" ? "to" : "from"}{" "}
+                                                    {schoolNameByCollectionId[entry.collection_id] || entry.collection_id}
+                                                </Text>
+
+                                                {entry.undone_at ? (
+                                                    <Badge>Undone</Badge>
+                                                ) : (
+                                                    <Button
+                                                        size="slim"
+                                                        disabled={undoFetcher.state !== "idle"}
+                                                        onClick={() =>
+                                                            undoFetcher.submit(
+                                                                { intent: "undo", logId: String(entry.id) },
+                                                                { method: "POST" }
+                                                            )
+                                                        }
+                                                    >
+                                                        Undo
+                                                    </Button>
+                                                )}
+                                            </InlineStack>
+                                        ))
+                                    )}
+                                </BlockStack>
+                            </div>
+                        </Card>
+                    </BlockStack>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
@@ -0,0 +1,275 @@
+// app/routes/home.grades.jsx
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { getSchools } from "../utils/schools.server";
+import {
+    getSchoolGradeLists,
+    normalizeMappingGrades,
+    parseGradeListText,
+    saveSchoolGradeList,
+} from "../utils/schoolGrades.server";
+import { adminHistorySource } from "../utils/mappingHistory.server";
+import { invalidateProxyCache } from "../utils/proxyCache.server";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Select,
+    TextField,
+    Button,
+} from "@shopify/polaris";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function safeErrToString(e) {
+    if (!e) return "Unknown error";
+    if (typeof e === "string") return e;
+    if (e?.message && typeof e.message === "string") return e.message;
+    try {
+        return JSON.stringify(e);
+    } catch {
+        return String(e);
+    }
+}
+
+function toGradeListText(grades) {
+    return (grades || [])
+        .map((g) => {
+            const parts = [g.code];
+            if (g.label && g.label !== g.code) parts.push(g.label);
+            if (g.aliases?.length) {
+                if (parts.length === 1) parts.push("");
+                parts.push(g.aliases.join(", "));
+            }
+            return parts.join(" | ");
+        })
+        .join("\n");
+}
+
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const schools = await getSchools(supabase, shop);
+    const gradeLists = await getSchoolGradeLists(supabase, shop);
+
+    return { schools, gradeLists };
+};
+
+export const action = async ({ request }) => {
+    const { session, sessionToken } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+    const form = await request.formData();
+    const intent = cleanText(form.get("intent"));
+
+    try {
+        if (intent === "saveGrades") {
+            const grades = await saveSchoolGradeList(
+                supabase,
+                shop,
+                cleanText(form.get("collectionId")),
+                parseGradeListText(form.get("grades"))
+            );
+            await invalidateProxyCache(shop);
+            return { ok: true, intent, grades };
+        }
+
+        if (intent === "previewNormalize" || intent === "applyNormalize") {
+            const report = await normalizeMappingGrades(supabase, shop, {
+                apply: intent === "applyNormalize",
+                sourceRef: adminHistorySource({ session, sessionToken }).sourceRef,
+            });
+            return { ok: true, intent, report };
+        }
+
+        return { ok: false, intent, error: "Unknown intent" };
+    } catch (e) {
+        return { ok: false, intent, error: safeErrToString(e) };
+    }
+};
+
+function GradeListCard({ schools, gradeLists }) {
+    const fetcher = useFetcher();
+
+    const [collectionId, setCollectionId] = useState(schools[0]?.collection_id || "");
+    const [text, setText] = useState(toGradeListText(gradeLists[schools[0]?.collection_id]));
+
+    useEffect(() => {
+        setText(toGradeListText(gradeLists[collectionId]));
+    }, [collectionId, gradeLists]);
+
+    const saved = fetcher.state === "idle" && fetcher.data?.ok && fetcher.data.intent === "saveGrades";
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <BlockStack gap="100">
+                        <Text as="h2" variant="headingMd">
+                            Grade lists
+                        </Text>
+                        <Text as="p" tone="subdued" variant="bodySm">
+                            One grade per line, in display order: <code>code | label | alias, alias</code>. Mappings
+                            store the code; the label and aliases are also accepted when grades are typed or
+                            imported. A school without a list accepts any grade.
+                        </Text>
+                    </BlockStack>
+
+                    {fetcher.data?.ok === false && (
+                        <Banner tone="critical">
+                            <p>{fetcher.data.error}</p>
+                        </Banner>
+                    )}
+                    {saved && (
+                        <Banner tone="success">
+                            <p>Saved {fetcher.data.grades.length} grades.</p>
+                        </Banner>
+                    )}
+
+                    <div style={{ maxWidth: 320 }}>
+                        <Select
+                            label="School"
+                            options={schools.map((s) => ({ label: s.display_name, value: s.collection_id }))}
+                            value={collectionId}
+                            onChange={setCollectionId}
+                        />
+                    </div>
+
+                    <TextField
+                        label="Grades"
+                        value={text}
+                        onChange={setText}
+                        multiline={8}
+                        autoComplete="off"
+                        placeholder={"TK | Transitional Kindergarten\nK | Kindergarten | KG, Kinder\n1 | Grade 1 | G1"}
+                    />
+
+                    <InlineStack>
+                        <Button
+                            variant="primary"
+                            loading={fetcher.state !== "idle"}
+                            disabled={!collectionId}
+                            onClick={() =>
+                                fetcher.submit({ intent: "saveGrades", collectionId, grades: text }, { method: "POST" })
+                            }
+                        >
+                            Save grades
+                        </Button>
+                    </InlineStack>
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+function NormalizeCard() {
+    const fetcher = useFetcher();
+    const report = fetcher.data?.ok ? fetcher.data.report : null;
+    const busy = fetcher.state !== "idle";
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <BlockStack gap="100">
+                        <Text as="h2" variant="headingMd">
+                            Normalise existing grades
+                        </Text>
+                        <Text as="p" tone="subdued" variant="bodySm">
+                            Rewrites stored grades to the school&apos;s codes (&quot;03&quot; → &quot;3&quot;,
+                            &quot;Kinder&quot; → &quot;K&quot;) and reports values that match no grade. Those rows are
+                            left unchanged.
+                        </Text>
+                    </BlockStack>
+
+                    {fetcher.data?.ok === false && (
+                        <Banner tone="critical">
+                            <p>{fetcher.data.error}</p>
+                        </Banner>
+                    )}
+
+                    <InlineStack gap="200">
+                        <Button
+                            loading={busy && fetcher.formData?.get("intent") === "previewNormalize"}
+                            disabled={busy}
+                            onClick={() => fetcher.submit({ intent: "previewNormalize" }, { method: "POST" })}
+                        >
+                            Preview
+                        </Button>
+                        <Button
+                            variant="primary"
+                            loading={busy && fetcher.formData?.get("intent") === "applyNormalize"}
+                            disabled={busy || !report || report.applied || report.changed === 0}
+                            onClick={() => fetcher.submit({ intent: "applyNormalize" }, { method: "POST" })}
+                        >
+                            Apply
+                        </Button>
+                    </InlineStack>
+
+                    {report ? (
+                        <BlockStack gap="200">
+                            <Text as="p">
+                                {report.scanned} mappings scanned; {report.changed}{" "}
+                                {report.applied ? "rewritten" : "would be rewritten"}; {report.unmapped.length} values
+                                could not be mapped.
+                            </Text>
+
+                            {report.unmapped.length ? (
+                                <DataTable
+                                    columnContentTypes={["text", "text", "numeric", "text"]}
+                                    headings={["School", "Value", "Rows", "Example handle"]}
+                                    rows={report.unmapped.map((u) => [u.school, u.value, u.count, u.example_handle || "—"])}
+                                />
+                            ) : null}
+                        </BlockStack>
+                    ) : null}
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+export default function GradesPage() {
+    const { schools, gradeLists } = useLoaderData();
+
+    return (
+        <Page title="Grades" subtitle="Canonical grades per school">
+            <Layout>
+                <Layout.Section>
+                    <BlockStack gap="400">
+                        {schools.length === 0 ? (
+                            <Card>
+                                <div style={{ padding: 16 }}>
+                                    <Text as="p" tone="subdued">
+                                        Register schools on the Settings page first.
+                                    </Text>
+                                </div>
+                            </Card>
+                        ) : (
+                            <GradeListCard schools={schools} gradeLists={gradeLists} />
+                        )}
+
+                        <NormalizeCard />
+                    </BlockStack>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
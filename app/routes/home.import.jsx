@@ -0,0 +1,344 @@
+// app/routes/home.import.jsx
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import {
+    applyMappingImport,
+    buildImportPreview,
+    getMappingImportRuns,
+    rollbackMappingImport,
+} from "../utils/mappingImport.server";
+import { downloadCsv, toCsv } from "../utils/csv";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    DropZone,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Button,
+    Badge,
+} from "@shopify/polaris";
+
+const MAX_ROWS_SHOWN = 500;
+
+const ACTION_TONES = {
+    insert: "success",
+    update: "attention",
+    unchanged: undefined,
+    error: "critical",
+};
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function safeErrToString(e) {
+    if (!e) return "Unknown error";
+    if (typeof e === "string") return e;
+    if (e?.message && typeof e.message === "string") return e.message;
+    try {
+        return JSON.stringify(e);
+    } catch {
+        return String(e);
+    }
+}
+
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const runs = await getMappingImportRuns(supabase, shop);
+
+    return { runs };
+};
+
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+    const form = await request.formData();
+    const intent = cleanText(form.get("intent"));
+
+    try {
+        if (intent === "preview") {
+            const { rows, summary } = await buildImportPreview(admin, supabase, shop, String(form.get("csv") || ""));
+
+            // The upsert records stay on the server; apply rebuilds them
+            return {
+                ok: true,
+                intent,
+                summary,
+                rows: rows.map(({ line, handle, school, grade, sizes, action, message }) => ({
+                    line,
+                    handle,
+                    school,
+                    grade,
+                    sizes,
+                    action,
+                    message,
+                })),
+            };
+        }
+
+        if (intent === "apply") {
+            const run = await applyMappingImport(admin, supabase, shop, String(form.get("csv") || ""), {
+                filename: cleanText(form.get("filename")),
+            });
+            return { ok: true, intent, run };
+        }
+
+        if (intent === "rollback") {
+            const run = await rollbackMappingImport(
+                admin,
+                supabase,
+                shop,
+                Number.parseInt(cleanText(form.get("runId")), 10)
+            );
+            return { ok: true, intent, run };
+        }
+
+        return { ok: false, intent, error: "Unknown intent" };
+    } catch (e) {
+        return { ok: false, intent, error: safeErrToString(e) };
+    }
+};
+
+function downloadTemplate() {
+    downloadCsv(
+        "mapping-import-template.csv",
+        toCsv(
+            ["handle", "school", "grade", "sizes", "size_range", "size_type"],
+            [["white-shirt", "FSHA", "Grade 1, Grade 2", "S, M, L", "", ""]]
+        )
+    );
+}
+
+function SummaryBadges({ summary }) {
+    return (
+        <InlineStack gap="200">
+            <Badge tone="success">{`${summary.insert} new`}</Badge>
+            <Badge tone="attention">{`${summary.update} updated`}</Badge>
+            <Badge>{`${summary.unchanged} unchanged`}</Badge>
+            <Badge tone={summary.error ? "critical" : undefined}>{`${summary.error} errors`}</Badge>
+        </InlineStack>
+    );
+}
+
+export default function ImportPage() {
+    const { runs } = useLoaderData();
+    const fetcher = useFetcher();
+    const rollbackFetcher = useFetcher();
+
+    const [file, setFile] = useState(null);
+    const [csvText, setCsvText] = useState("");
+    const [preview, setPreview] = useState(null);
+
+    useEffect(() => {
+        if (fetcher.state !== "idle" || !fetcher.data?.ok) return;
+        if (fetcher.data.intent === "preview") setPreview(fetcher.data);
+        if (fetcher.data.intent === "apply") {
+            setPreview(null);
+            setFile(null);
+            setCsvText("");
+        }
+    }, [fetcher.state, fetcher.data]);
+
+    const handleDrop = async (_dropped, accepted) => {
+        const next = accepted[0];
+        if (!next) return;
+
+        setFile(next);
+        setPreview(null);
+
+        const text = await next.text();
+        setCsvText(text);
+        fetcher.submit({ intent: "preview", csv: text }, { method: "POST" });
+    };
+
+    const isBusy = fetcher.state !== "idle";
+    const acceptedCount = preview ? preview.summary.insert + preview.summary.update : 0;
+    const error =
+        fetcher.data?.ok === false
+            ? fetcher.data.error
+            : rollbackFetcher.data?.ok === false
+                ? rollbackFetcher.data.error
+                : null;
+
+    return (
+        <Page
+            title="Import mappings"
+            subtitle="Upload a CSV of handles, schools, grades and sizes"
+            secondaryActions={[{ content: "Download template", onAction: downloadTemplate }]}
+        >
+            <Layout>
+                <Layout.Section>
+                    <BlockStack gap="400">
+                        {error && (
+                            <Banner tone="critical" title="Import error">
+                                <p>{error}</p>
+                            </Banner>
+                        )}
+
+                        {fetcher.data?.ok && fetcher.data.intent === "apply" && (
+                            <Banner tone="success" title="Import applied">
+                                <p>
+                                    {fetcher.data.run.summary?.insert || 0} mappings added and{" "}
+                                    {fetcher.data.run.summary?.update || 0} updated. It can be rolled back below.
+                                </p>
+                            </Banner>
+                        )}
+
+                        {fetcher.data?.ok && fetcher.data.run?.gradeMetafieldIssues?.length > 0 && (
+                            <Banner tone="warning" title="custom.grade was not updated on every product">
+                                <p>
+                                    {fetcher.data.run.gradeMetafieldIssues.length} products were skipped. Conflicts are
+                                    listed under Grade metafield conflicts on the Products page.
+                                </p>
+                            </Banner>
+                        )}
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                <BlockStack gap="300">
+                                    <Text as="p" tone="subdued">
+                                        Columns: <code>handle</code>, <code>school</code> (name, Shopify tag or
+                                        collection ID), <code>grade</code>, <code>sizes</code>, <code>size_range</code>,{" "}
+                                        <code>size_type</code>. Blank cells keep the current value of an existing
+                                        mapping.
+                                    </Text>
+
+                                    <DropZone accept=".csv,text/csv" allowMultiple={false} onDrop={handleDrop}>
+                                        {file ? (
+                                            <div style={{ padding: 16 }}>
+                                                <Text as="span">{file.name}</Text>
+                                            </div>
+                                        ) : (
+                                            <DropZone.FileUpload actionTitle="Upload CSV" />
+                                        )}
+                                    </DropZone>
+                                </BlockStack>
+                            </div>
+                        </Card>
+
+                        {preview ? (
+                            <Card>
+                                <div style={{ padding: 16 }}>
+                                    <BlockStack gap="300">
+                                        <InlineStack align="space-between" blockAlign="center">
+                                            <SummaryBadges summary={preview.summary} />
+
+                                            <Button
+                                                variant="primary"
+                                                loading={isBusy && fetcher.formData?.get("intent") === "apply"}
+                                                disabled={isBusy || acceptedCount === 0}
+                                                onClick={() =>
+                                                    fetcher.submit(
+                                                        { intent: "apply", csv: csvText, filename: file?.name || "" },
+                                                        { method: "POST" }
+                                                    )
+                                                }
+                                            >
+                                                Apply {acceptedCount ? `(${acceptedCount})` : ""}
+                                            </Button>
+                                        </InlineStack>
+
+                                        {preview.summary.error > 0 && (
+                                            <Text as="p" tone="subdued">
+                                                Rows with errors are skipped when applying.
+                                            </Text>
+                                        )}
+
+                                        <DataTable
+                                            columnContentTypes={["numeric", "text", "text", "text", "text", "text", "text"]}
+                                            headings={["Line", "Handle", "School", "Grade", "Sizes", "Result", "Details"]}
+                                            rows={preview.rows.slice(0, MAX_ROWS_SHOWN).map((r) => [
+                                                r.line,
+                                                r.handle || "—",
+                                                r.school || "—",
+                                                r.grade || "—",
+                                                r.sizes || "—",
+                                                <Badge key={r.line} tone={ACTION_TONES[r.action]}>
+                                                    {r.action}
+                                                </Badge>,
+                                                r.message || "",
+                                            ])}
+                                            footerContent={
+                                                preview.rows.length > MAX_ROWS_SHOWN
+                                                    ? `Showing ${MAX_ROWS_SHOWN} of ${preview.rows.length} rows`
+                                                    : undefined
+                                            }
+                                        />
+                                    </BlockStack>
+                                </div>
+                            </Card>
+                        ) : null}
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                <BlockStack gap="300">
+                                    <Text as="h2" variant="headingMd">
+                                        Previous imports
+                                    </Text>
+
+                                    {runs.length === 0 ? (
+                                        <Text as="p" tone="subdued">
+                                            No imports yet.
+                                        </Text>
+                                    ) : (
+                                        runs.map((run) => (
+                                            <InlineStack key={run.id} align="space-between" blockAlign="center">
+                                                <BlockStack gap="050">
+                                                    <Text as="span">
+                                                        {new Date(run.created_at).toLocaleString()} · {run.filename || "CSV"} ·{" "}
+                                                        {run.summary?.insert || 0} new, {run.summary?.update || 0} updated
+                                                    </Text>
+                                                    {run.error_message ? (
+                                                        <Text as="span" tone="critical" variant="bodySm">
+                                                            {run.error_message}
+                                                        </Text>
+                                                    ) : null}
+                                                </BlockStack>
+
+                                                {run.status === "applied" ? (
+                                                    <Button
+                                                        size="slim"
+                                                        disabled={rollbackFetcher.state !== "idle"}
+                                                        onClick={() => {
+                                                            if (!window.confirm("Roll back this import?")) return;
+                                                            rollbackFetcher.submit(
+                                                                { intent: "rollback", runId: String(run.id) },
+                                                                { method: "POST" }
+                                                            );
+                                                        }}
+                                                    >
+                                                        Roll back
+                                                    </Button>
+                                                ) : (
+                                                    <Badge tone={run.status === "failed" ? "critical" : undefined}>
+                                                        {run.status === "rolled_back" ? "Rolled back" : run.status}
+                                                    </Badge>
+                                                )}
+                                            </InlineStack>
+                                        ))
+                                    )}
+                                </BlockStack>
+                            </div>
+                        </Card>
+                    </BlockStack>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
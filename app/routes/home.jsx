@@ -18,8 +18,13 @@ export default function App() {
       <s-app-nav>
         <s-link href="/home">Home</s-link>
         <s-link href="/home/products">Products</s-link>
+        <s-link href="/home/import">Import</s-link>
         <s-link href="/home/settings">Settings</s-link>
+        <s-link href="/home/grades">Grades</s-link>
+        <s-link href="/home/variants">Variants</s-link>
         <s-link href="/home/product-sort">Product Sort</s-link>
+        <s-link href="/home/reconciliation">Reconciliation</s-link>
+        <s-link href="/home/collection-sync">Collection Sync</s-link>
         <s-link href="/home/club-customers">Club Customers</s-link>
       </s-app-nav>
       <Outlet />
@@ -4,6 +4,8 @@ import { useEffect, useMemo, useState, useRef } from "react";
 import { useFetcher, useLoaderData } from "react-router";
 import { authenticate } from "../shopify.server";
 import { getSupabaseAdmin } from "../supabase.server";
+import { getActiveSchoolLookups } from "../utils/schools.server";
+import { invalidateProxyCache } from "../utils/proxyCache.server";
 
 import {
     Page,
@@ -41,15 +43,6 @@ import { CSS } from "@dnd-kit/utilities";
    helpers
 ========================= */
 
-const ALLOWED_COLLECTION_IDS = new Set([
-    "gid://shopify/Collection/276875509831",
-    "gid://shopify/Collection/276875247687",
-    "gid://shopify/Collection/276875411527",
-    "gid://shopify/Collection/276875280455",
-    "gid://shopify/Collection/276875444295",
-    "gid://shopify/Collection/282935689287",
-]);
-
 function splitGrades(value) {
     return String(value || "")
         .split(",")
@@ -136,7 +129,7 @@ function resolveHandlesForContext({
     };
 }
 
-async function getSavedManualSort(supabase, schoolId, grade = "") {
+async function getSavedManualSort(supabase, shop, schoolId, grade = "") {
     const safeSchoolId = String(schoolId || "").trim();
     const safeGrade = String(grade || "").trim();
 
@@ -145,6 +138,7 @@ async function getSavedManualSort(supabase, schoolId, grade = "") {
     const { data, error } = await supabase
         .from("product_sort_order")
         .select("school_id, grade, product_order, grade_override, status")
+        .eq("shop", shop)
         .eq("school_id", safeSchoolId)
         .eq("grade", safeGrade)
         .eq("status", 1)
@@ -280,14 +274,21 @@ function reorderVisibleWithinFull(fullHandles, visibleHandles, activeId, overId)
 
 export async function loader({ request }) {
     try {
-        const { admin } = await authenticate.admin(request);
+        const { admin, session } = await authenticate.admin(request);
         const supabase = getSupabaseAdmin();
 
+        const shop = session?.shop || "";
         const shopId = await fetchShopId(admin);
+        const { collectionIds: allowedCollectionIds } = await getActiveSchoolLookups(
+            supabase,
+            shop
+        );
 
         const { data: mappingRows, error: mappingError } = await supabase
             .from("product_grade_collection")
             .select("product_handle, grade, collection_id, collection_handle")
+            .eq("shop", shop)
+            .is("deleted_at", null)
             .not("product_handle", "is", null)
             .order("collection_handle", { ascending: true });
 
@@ -297,7 +298,7 @@ export async function loader({ request }) {
         }
 
         const safeRows = (mappingRows || []).filter((row) =>
-            ALLOWED_COLLECTION_IDS.has(String(row?.collection_id || "").trim())
+            allowedCollectionIds.has(String(row?.collection_id || "").trim())
         );
 
 
@@ -318,6 +319,7 @@ export async function loader({ request }) {
         const { data: masterRows, error: masterError } = await supabase
             .from("master database colours")
             .select('Handle,"Age Size Range"')
+            .eq("shop", shop)
             .in("Handle", allHandles);
 
         if (masterError) {
@@ -384,6 +386,7 @@ export async function loader({ request }) {
         const { data: savedRows, error: savedError } = await supabase
             .from("product_sort_order")
             .select("school_id, grade, product_order, grade_override, status")
+            .eq("shop", shop)
             .eq("status", 1);
 
         if (savedError) {
@@ -393,8 +396,8 @@ export async function loader({ request }) {
 
         const savedSorts = {};
 
-        for (const collectionId of ALLOWED_COLLECTION_IDS) {
-            const schoolLevelSort = await getSavedManualSort(supabase, collectionId, "");
+        for (const collectionId of allowedCollectionIds) {
+            const schoolLevelSort = await getSavedManualSort(supabase, shop, collectionId, "");
             if (schoolLevelSort) {
                 savedSorts[sortKey(collectionId, "")] = schoolLevelSort;
             }
@@ -406,7 +409,7 @@ export async function loader({ request }) {
             );
 
             for (const grade of gradesForCollection) {
-                const gradeLevelSort = await getSavedManualSort(supabase, collectionId, grade);
+                const gradeLevelSort = await getSavedManualSort(supabase, shop, collectionId, grade);
                 if (gradeLevelSort) {
                     savedSorts[sortKey(collectionId, grade)] = gradeLevelSort;
                 }
@@ -437,7 +440,8 @@ export async function loader({ request }) {
 ========================= */
 
 export async function action({ request }) {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
     const supabase = getSupabaseAdmin();
 
     const formData = await request.formData();
@@ -473,6 +477,7 @@ export async function action({ request }) {
     const { data: existingRow, error: existingError } = await supabase
         .from("product_sort_order")
         .select("school_id, grade")
+        .eq("shop", shop)
         .eq("school_id", schoolId)
         .eq("grade", grade)
         .maybeSingle();
@@ -494,6 +499,7 @@ export async function action({ request }) {
                 status: 1,
                 updated: now,
             })
+            .eq("shop", shop)
             .eq("school_id", schoolId)
             .eq("grade", grade);
 
@@ -504,12 +510,14 @@ export async function action({ request }) {
             );
         }
 
+        await invalidateProxyCache(shop);
         return Response.json({ ok: true, mode: "updated" });
     }
 
     const { error: insertError } = await supabase
         .from("product_sort_order")
         .insert({
+            shop,
             site_id: siteId,
             school_id: schoolId,
             grade,
@@ -527,6 +535,7 @@ export async function action({ request }) {
         );
     }
 
+    await invalidateProxyCache(shop);
     return Response.json({ ok: true, mode: "inserted" });
 }
 
@@ -6,6 +6,30 @@ import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
 import { getSupabaseAdmin } from "../supabase.server";
+import { buildSchoolLookups, getSchools } from "../utils/schools.server";
+import {
+    DRY_RUN_JOB_TYPE,
+    GRADE_SYNC_JOB_TYPE,
+    getSyncJobItems,
+} from "../utils/syncGrades.server";
+import { getShopSettings } from "../utils/shopSettings.server";
+import {
+    acceptShopifyGrades,
+    formatGradeMetafieldValue,
+    getGradeMetafieldConflicts,
+    pushGradeMetafield,
+} from "../utils/gradeMetafield.server";
+import { getSchoolTagsForCollections, removeUnjustifiedSchoolTags } from "../utils/schoolTags.server";
+import { EXPORT_HEADERS, buildMappingExportRows, toXlsxBase64 } from "../utils/mappingExport.server";
+import { applyBulkEdit } from "../utils/bulkEdit.server";
+import {
+    adminHistorySource,
+    getMappingHistory,
+    revertMappingsToEntry,
+    startMappingHistory,
+} from "../utils/mappingHistory.server";
+import { getGradeCatalog, hasAllGrades, isAllGradesValue, requireKnownGrades } from "../utils/schoolGrades.server";
+import { downloadBase64, downloadCsv, toCsv } from "../utils/csv";
 
 import { DeleteIcon } from "@shopify/polaris-icons";
 
@@ -24,30 +48,15 @@ import {
     Select,
     Pagination,
     Badge,
+    DataTable,
+    Checkbox,
+    Modal,
+    useIndexResourceState,
 } from "@shopify/polaris";
 
 const EXTERNAL_TABLE = "product_grade_collection";
 const MASTER_TABLE = "master database colours"; // exact name, with spaces
 
-// Only allow these collections in dropdown
-const ALLOWED_COLLECTION_IDS = new Set([
-    "gid://shopify/Collection/276875509831",
-    "gid://shopify/Collection/276875247687",
-    "gid://shopify/Collection/276875411527",
-    "gid://shopify/Collection/276875280455",
-    "gid://shopify/Collection/276875444295",
-    "gid://shopify/Collection/282935689287",
-]);
-
-const COLLECTION_GID_TO_SCHOOL = {
-    "gid://shopify/Collection/276875411527": "Regina Dominican",
-    "gid://shopify/Collection/282935689287": "FSHA",
-    "gid://shopify/Collection/276875509831": "AOLP",
-    "gid://shopify/Collection/276875280455": "Castilleja",
-    "gid://shopify/Collection/276875444295": "NDB",
-    "gid://shopify/Collection/276875247687": "Marlborough",
-};
-
 // Shopify metafield: custom.grade
 const GRADE_NAMESPACE = "custom";
 const GRADE_KEY = "grade";
@@ -64,8 +73,9 @@ function parseSchoolTagText(value) {
 function resolveCombinedSchoolTags({
     shopifyTags = [],
     dbSchoolTagText = "",
+    schoolNames = [],
 }) {
-    const primary = resolveSchoolTagFromShopify(shopifyTags);
+    const primary = resolveSchoolTagFromShopify(shopifyTags, schoolNames);
     const dbTags = parseSchoolTagText(dbSchoolTagText);
 
     const out = [];
@@ -128,14 +138,16 @@ function cleanText(v) {
     return String(v ?? "").trim();
 }
 
-function getAllowedSchoolNames() {
-    return Object.values(COLLECTION_GID_TO_SCHOOL).map((v) => cleanText(v)).filter(Boolean);
+function getAllowedSchoolNames(schools = []) {
+    return (schools || [])
+        .map((s) => cleanText(s?.master_school_name) || cleanText(s?.display_name))
+        .filter(Boolean);
 }
 
 
-function resolveSchoolTagFromShopify(shopifyTags = []) {
+function resolveSchoolTagFromShopify(shopifyTags = [], schoolNames = []) {
     const allowedSchools = new Set(
-        getAllowedSchoolNames().map((v) => v.toLowerCase())
+        (schoolNames || []).map((v) => cleanText(v).toLowerCase())
     );
 
     for (const tag of shopifyTags || []) {
@@ -254,11 +266,12 @@ async function fetchAllCollections(admin) {
     return all;
 }
 
-async function fetchAgeSizeRangeMap(supabase, handles = []) {
+async function fetchAgeSizeRangeMap(supabase, shop, handles = []) {
     try {
         let query = supabase
             .from(MASTER_TABLE)
-            .select('"Handle","Age Size Range"');
+            .select('"Handle","Age Size Range"')
+            .eq("shop", shop);
 
         if (Array.isArray(handles) && handles.length > 0) {
             query = query.in("Handle", handles);
@@ -395,7 +408,7 @@ async function fetchShopifySizeRangeFallbackMap(admin, handles = []) {
 async function fetchProductsWithGradeAndCollection(
     admin,
     supabase,
-    { first = 50, after = null, search = "", school = "" } = {}
+    { shop = "", first = 50, after = null, search = "", school = "", schoolNames = [] } = {}
 ) {
     const searchText = String(search || "").trim();
 
@@ -459,7 +472,7 @@ async function fetchProductsWithGradeAndCollection(
             .map((p) => cleanText(p.handle))
             .filter(Boolean);
 
-        const ageSizeRangeMap = await fetchAgeSizeRangeMap(supabase, allHandles);
+        const ageSizeRangeMap = await fetchAgeSizeRangeMap(supabase, shop, allHandles);
 
         const missingAgeSizeHandles = allHandles.filter(
             (handle) => !cleanText(ageSizeRangeMap[cleanText(handle).toLowerCase()])
@@ -469,7 +482,12 @@ async function fetchProductsWithGradeAndCollection(
             ? await fetchShopifySizeRangeFallbackMap(admin, missingAgeSizeHandles)
             : {};
 
-        let savedQuery = supabase.from(EXTERNAL_TABLE).select("*").in("product_handle", allHandles);
+        let savedQuery = supabase
+            .from(EXTERNAL_TABLE)
+            .select("*")
+            .eq("shop", shop)
+            .is("deleted_at", null)
+            .in("product_handle", allHandles);
 
 
 
@@ -490,6 +508,7 @@ async function fetchProductsWithGradeAndCollection(
                         title: record.collection_title,
                         handle: record.collection_handle || "",
                         grade: record.grade || "",
+                        all_grades: hasAllGrades(record),
                         school_tag: record.school_tag || "",
                     });
                 }
@@ -533,13 +552,14 @@ async function fetchProductsWithGradeAndCollection(
                 const schoolMeta = resolveCombinedSchoolTags({
                     shopifyTags,
                     dbSchoolTagText,
+                    schoolNames,
                 });
 
                 return {
                     id: p.id,
                     title: p.title || "",
                     handle: p.handle || "",
-                    grade: p?.metafield?.value || "",
+                    grade: formatGradeMetafieldValue(p?.metafield?.value),
                     shopify_tags: shopifyTags,
                     primary_school_tag: schoolMeta.primary_school_tag,
                     school_tags: schoolMeta.school_tags,
@@ -804,7 +824,7 @@ async function fetchProductsWithGradeAndCollection(
             id: p.id,
             title: p.title || "",
             handle: p.handle || "",
-            grade: p?.metafield?.value || "",
+            grade: formatGradeMetafieldValue(p?.metafield?.value),
             shopify_tags: Array.isArray(p?.tags) ? p.tags : [],
             imageUrl: p?.featuredImage?.url || "",
             size: collectArray("size"),
@@ -827,6 +847,8 @@ async function fetchProductsWithGradeAndCollection(
         const result = await supabase
             .from(EXTERNAL_TABLE)
             .select("*")
+            .eq("shop", shop)
+            .is("deleted_at", null)
             .in("shopify_product_id", currentPageProductIds);
 
         savedData = result.data || [];
@@ -839,7 +861,7 @@ async function fetchProductsWithGradeAndCollection(
         .map((item) => cleanText(item.handle))
         .filter(Boolean);
 
-    const ageSizeRangeMap = await fetchAgeSizeRangeMap(supabase, allProductHandles);
+    const ageSizeRangeMap = await fetchAgeSizeRangeMap(supabase, shop, allProductHandles);
 
     const missingAgeSizeHandles = allProductHandles.filter(
         (handle) => !cleanText(ageSizeRangeMap[cleanText(handle).toLowerCase()])
@@ -860,6 +882,7 @@ async function fetchProductsWithGradeAndCollection(
                     title: record.collection_title,
                     handle: record.collection_handle || "",
                     grade: record.grade || "",
+                    all_grades: hasAllGrades(record),
                     school_tag: record.school_tag || "",
                 });
             }
@@ -881,6 +904,7 @@ async function fetchProductsWithGradeAndCollection(
         const schoolMeta = resolveCombinedSchoolTags({
             shopifyTags: item.shopify_tags || [],
             dbSchoolTagText,
+            schoolNames,
         });
 
         if (savedCollections.length > 0) {
@@ -921,7 +945,7 @@ async function fetchProductsWithGradeAndCollection(
 
 // Fetch product, all collections, and sizes from Shopify
 
-async function fetchShopifySchoolTagByHandle(admin, handle) {
+async function fetchShopifySchoolTagByHandle(admin, handle, schoolNames = []) {
     const cleanHandle = cleanText(handle);
     if (!cleanHandle) return "";
 
@@ -944,10 +968,34 @@ async function fetchShopifySchoolTagByHandle(admin, handle) {
     if (!product) return "";
 
     return resolveSchoolTagFromShopify(
-        Array.isArray(product.tags) ? product.tags : []
+        Array.isArray(product.tags) ? product.tags : [],
+        schoolNames
     );
 }
 
+// Counters and timestamps of a sync job that has not started yet
+function emptySyncJobFields() {
+    return {
+        batch_offset: 0,
+        total_master: null,
+        batches: 0,
+        unique_handles: 0,
+        updated_handles: 0,
+        updated_rows: 0,
+        inserted_products: 0,
+        inserted_rows: 0,
+        missing_in_shopify: 0,
+        failed_handles: 0,
+        cancel_requested: false,
+        error_message: null,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        started_at: null,
+        completed_at: null,
+        updated_at: new Date().toISOString(),
+    };
+}
+
 function safeErrToString(e) {
     if (!e) return "Unknown error";
     if (typeof e === "string") return e;
@@ -959,6 +1007,20 @@ function safeErrToString(e) {
     }
 }
 
+/**
+ * After mappings are deleted, drop the school tags they justified. The rows
+ * are already gone, so a tag failure is reported rather than thrown.
+ */
+async function removeSchoolTagsForDeletedMappings(admin, supabase, shop, productId, collectionIds) {
+    try {
+        const tags = await getSchoolTagsForCollections(supabase, shop, collectionIds);
+        const { removedTags } = await removeUnjustifiedSchoolTags(admin, supabase, shop, productId, tags);
+        return { removedTags, tagError: null };
+    } catch (e) {
+        return { removedTags: [], tagError: safeErrToString(e) };
+    }
+}
+
 async function fetchProductsCount(admin, search = "", school = "") {
     try {
         const res = await admin.graphql(
@@ -1001,6 +1063,7 @@ export const loader = async ({ request }) => {
     // const page = Math.max(1, Number.parseInt(url.searchParams.get("page") || "1", 10) || 1);
 
     const collections = await fetchAllCollections(admin);
+    const schools = await getSchools(supabase, shop);
 
 
 
@@ -1012,17 +1075,20 @@ export const loader = async ({ request }) => {
         pageStart = null,
         pageEnd = null,
     } = await fetchProductsWithGradeAndCollection(admin, supabase, {
+        shop,
         first: 50,
         after: after || null,
         search: q,
         school: schoolFromUrl,
+        schoolNames: getAllowedSchoolNames(schools),
     });
 
     let masterTotal = null;
     try {
         const { count, error } = await supabase
             .from(MASTER_TABLE)
-            .select('"Handle"', { count: "exact", head: true });
+            .select('"Handle"', { count: "exact", head: true })
+            .eq("shop", shop);
 
         if (!error && typeof count === "number") masterTotal = count;
     } catch {
@@ -1045,12 +1111,46 @@ export const loader = async ({ request }) => {
         // ignore
     }
 
+    let dryRunJob = null;
+    let dryRunItems = [];
+    try {
+        const { data, error } = await supabase
+            .from("sync_jobs")
+            .select("*")
+            .eq("shop", shop)
+            .eq("job_type", DRY_RUN_JOB_TYPE)
+            .order("id", { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (!error) dryRunJob = data || null;
+
+        if (dryRunJob?.status === "completed") {
+            dryRunItems = await getSyncJobItems(supabase, shop, dryRunJob.id, {
+                changedOnly: true,
+                limit: 100,
+            });
+        }
+    } catch {
+        // ignore
+    }
+
+    let gradeMetafieldSync = false;
+    let gradeConflicts = [];
+    try {
+        gradeMetafieldSync = (await getShopSettings(supabase, shop)).grade_metafield_sync;
+        if (gradeMetafieldSync) gradeConflicts = await getGradeMetafieldConflicts(supabase, shop);
+    } catch {
+        // ignore
+    }
+
     return {
         shop,
         products: items,
         searchQuery: q,
         selectedSchool: schoolFromUrl,
         collections,
+        schools,
         hasNextPage,
         endCursor,
         after: after || null,
@@ -1059,19 +1159,26 @@ export const loader = async ({ request }) => {
         pageStart,
         pageEnd,
         syncJob,
+        dryRunJob,
+        dryRunItems,
+        gradeMetafieldSync,
+        gradeConflicts,
     };
 };
 
-async function updateMasterDatabaseGrades(supabase, { productHandle, collectionGradesList = [] }) {
+async function updateMasterDatabaseGrades(
+    supabase,
+    { shop, productHandle, collectionGradesList = [], schoolNameByCollectionId = {} }
+) {
     const cleanHandle = cleanText(productHandle);
     if (!cleanHandle) return;
 
     for (const item of collectionGradesList) {
         const collectionId = cleanText(item?.id);
         const grade = cleanText(item?.grade);
-        const schoolName = COLLECTION_GID_TO_SCHOOL[collectionId];
+        const schoolName = schoolNameByCollectionId[collectionId];
 
-        // If collection is not in hardcoded map, skip it
+        // If collection is not a registered school, skip it
         if (!schoolName) continue;
 
         const { error } = await supabase
@@ -1079,6 +1186,7 @@ async function updateMasterDatabaseGrades(supabase, { productHandle, collectionG
             .update({
                 Grade: grade || null,
             })
+            .eq("shop", shop)
             .eq("Handle", cleanHandle)
             .eq("School", schoolName);
 
@@ -1093,15 +1201,14 @@ async function updateMasterDatabaseGrades(supabase, { productHandle, collectionG
 /* ---------------- ACTION ---------------- */
 
 export const action = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session, sessionToken } = await authenticate.admin(request);
+    const shop = session?.shop || "";
     const supabase = getSupabaseAdmin();
     const form = await request.formData();
     const intent = cleanText(form.get("intent"));
+    const historySource = adminHistorySource({ session, sessionToken });
 
     if (intent === "startSyncJob") {
-        const { session } = await authenticate.admin(request);
-        const shop = session?.shop || "";
-
         if (!shop) return { ok: false, error: "Missing shop" };
 
         try {
@@ -1132,6 +1239,8 @@ export const action = async ({ request }) => {
                         batch_limit: batchLimit,
                         cancel_requested: false,
                         error_message: null,
+                        attempts: 0,
+                        next_attempt_at: new Date().toISOString(),
                         updated_at: new Date().toISOString(),
                     })
                     .eq("id", existingJob.id)
@@ -1160,6 +1269,7 @@ export const action = async ({ request }) => {
                     inserted_products: 0,
                     inserted_rows: 0,
                     missing_in_shopify: 0,
+                    failed_handles: 0,
                     cancel_requested: false,
                     error_message: null,
                     started_at: null,
@@ -1178,9 +1288,6 @@ export const action = async ({ request }) => {
     }
 
     if (intent === "pauseSyncJob") {
-        const { session } = await authenticate.admin(request);
-        const shop = session?.shop || "";
-
         try {
             const { data, error } = await supabase
                 .from("sync_jobs")
@@ -1204,9 +1311,6 @@ export const action = async ({ request }) => {
     }
 
     if (intent === "resetSyncJob") {
-        const { session } = await authenticate.admin(request);
-        const shop = session?.shop || "";
-
         if (!shop) return { ok: false, error: "Missing shop" };
 
         try {
@@ -1239,6 +1343,7 @@ export const action = async ({ request }) => {
                         inserted_products: 0,
                         inserted_rows: 0,
                         missing_in_shopify: 0,
+                        failed_handles: 0,
                         cancel_requested: false,
                         error_message: null,
                         started_at: null,
@@ -1253,6 +1358,14 @@ export const action = async ({ request }) => {
                 return { ok: true, intent, job: newJob };
             }
 
+            const { error: itemsErr } = await supabase
+                .from("sync_job_items")
+                .delete()
+                .eq("shop", shop)
+                .eq("job_id", existingJob.id);
+
+            if (itemsErr) throw new Error(itemsErr.message);
+
             // If a job exists, just reset it in place and keep it paused
             const { data: resetJob, error: resetErr } = await supabase
                 .from("sync_jobs")
@@ -1267,6 +1380,7 @@ export const action = async ({ request }) => {
                     inserted_products: 0,
                     inserted_rows: 0,
                     missing_in_shopify: 0,
+                    failed_handles: 0,
                     cancel_requested: false,
                     error_message: null,
                     started_at: null,
@@ -1286,6 +1400,250 @@ export const action = async ({ request }) => {
     }
 
 
+    if (intent === "startDryRun") {
+        if (!shop) return { ok: false, error: "Missing shop" };
+
+        try {
+            const { data: activeDryRun, error: activeErr } = await supabase
+                .from("sync_jobs")
+                .select("*")
+                .eq("shop", shop)
+                .eq("job_type", DRY_RUN_JOB_TYPE)
+                .in("status", ["queued", "running"])
+                .limit(1)
+                .maybeSingle();
+
+            if (activeErr) throw new Error(activeErr.message);
+            if (activeDryRun) return { ok: true, intent, dryRunJob: activeDryRun };
+
+            // Only the latest dry run is kept; its items go with it (on delete cascade)
+            const { error: clearErr } = await supabase
+                .from("sync_jobs")
+                .delete()
+                .eq("shop", shop)
+                .eq("job_type", DRY_RUN_JOB_TYPE);
+
+            if (clearErr) throw new Error(clearErr.message);
+
+            const { data: newJob, error: newErr } = await supabase
+                .from("sync_jobs")
+                .insert({
+                    ...emptySyncJobFields(),
+                    shop,
+                    job_type: DRY_RUN_JOB_TYPE,
+                    status: "queued",
+                    batch_limit: 100,
+                })
+                .select("*")
+                .single();
+
+            if (newErr) throw new Error(newErr.message);
+
+            return { ok: true, intent, dryRunJob: newJob };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "promoteDryRun") {
+        if (!shop) return { ok: false, error: "Missing shop" };
+
+        try {
+            const dryRunJobId = toInt(form.get("jobId"), 0);
+
+            const { data: dryRunJob, error: dryRunErr } = await supabase
+                .from("sync_jobs")
+                .select("*")
+                .eq("shop", shop)
+                .eq("id", dryRunJobId)
+                .eq("job_type", DRY_RUN_JOB_TYPE)
+                .maybeSingle();
+
+            if (dryRunErr) throw new Error(dryRunErr.message);
+            if (!dryRunJob) throw new Error("Dry run not found");
+            if (dryRunJob.status !== "completed") throw new Error("Dry run has not finished yet");
+            if (dryRunJob.promoted_job_id) throw new Error("Dry run was already promoted");
+
+            const { data: existingJob, error: existingErr } = await supabase
+                .from("sync_jobs")
+                .select("*")
+                .eq("shop", shop)
+                .eq("job_type", GRADE_SYNC_JOB_TYPE)
+                .order("id", { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            if (existingErr) throw new Error(existingErr.message);
+
+            if (existingJob && ["queued", "running"].includes(existingJob.status)) {
+                throw new Error("A sync is already running");
+            }
+
+            // The real run walks the master sheet again from the start
+            const realRun = {
+                ...emptySyncJobFields(),
+                status: "queued",
+                batch_limit: Number(dryRunJob.batch_limit || 100),
+            };
+
+            let job = null;
+
+            if (existingJob) {
+                const { error: itemsErr } = await supabase
+                    .from("sync_job_items")
+                    .delete()
+                    .eq("shop", shop)
+                    .eq("job_id", existingJob.id);
+
+                if (itemsErr) throw new Error(itemsErr.message);
+
+                const { data, error } = await supabase
+                    .from("sync_jobs")
+                    .update(realRun)
+                    .eq("id", existingJob.id)
+                    .select("*")
+                    .single();
+
+                if (error) throw new Error(error.message);
+                job = data;
+            } else {
+                const { data, error } = await supabase
+                    .from("sync_jobs")
+                    .insert({ ...realRun, shop, job_type: GRADE_SYNC_JOB_TYPE })
+                    .select("*")
+                    .single();
+
+                if (error) throw new Error(error.message);
+                job = data;
+            }
+
+            const { data: promoted, error: promoteErr } = await supabase
+                .from("sync_jobs")
+                .update({
+                    promoted_job_id: job.id,
+                    promoted_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString(),
+                })
+                .eq("id", dryRunJob.id)
+                .select("*")
+                .single();
+
+            if (promoteErr) throw new Error(promoteErr.message);
+
+            return { ok: true, intent, job, dryRunJob: promoted };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "bulkEdit") {
+        try {
+            let productIds = [];
+            try {
+                productIds = JSON.parse(String(form.get("productIds") || "[]"));
+            } catch {
+                productIds = [];
+            }
+
+            const summary = await applyBulkEdit(admin, supabase, shop, {
+                operation: cleanText(form.get("operation")),
+                productIds: Array.isArray(productIds) ? productIds : [],
+                collectionId: cleanText(form.get("collectionId")),
+                grade: cleanText(form.get("grade")),
+                sizeType: cleanText(form.get("sizeType")),
+                sourceRef: historySource.sourceRef,
+            });
+
+            return { ok: true, intent, summary };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "exportMappings") {
+        const format = cleanText(form.get("format")) === "xlsx" ? "xlsx" : "csv";
+
+        try {
+            const rows = await buildMappingExportRows(supabase, shop, {
+                collectionId: cleanText(form.get("collectionId")),
+                grade: cleanText(form.get("grade")),
+                sizeType: cleanText(form.get("sizeType")),
+            });
+
+            if (format === "xlsx") {
+                return { ok: true, intent, format, rowCount: rows.length, base64: await toXlsxBase64(EXPORT_HEADERS, rows) };
+            }
+
+            return { ok: true, intent, format, rowCount: rows.length, headers: EXPORT_HEADERS, rows };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "resolveGradeConflict") {
+        const productId = cleanText(form.get("productId"));
+        const resolution = cleanText(form.get("resolution"));
+
+        if (!productId) return { ok: false, intent, error: "Missing productId" };
+
+        try {
+            if (resolution === "keepShopify") {
+                await acceptShopifyGrades(supabase, shop, productId);
+                return { ok: true, intent, productId };
+            }
+
+            const gradeMetafield = await pushGradeMetafield(admin, supabase, shop, productId, { force: true });
+            return { ok: true, intent, productId, gradeMetafield };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "mappingHistory") {
+        const productId = cleanText(form.get("productId"));
+        if (!productId) return { ok: false, intent, error: "Missing productId" };
+
+        try {
+            const entries = await getMappingHistory(supabase, shop, productId);
+            return { ok: true, intent, productId, entries };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
+    if (intent === "revertMapping") {
+        const productId = cleanText(form.get("productId"));
+        const entryId = cleanText(form.get("entryId"));
+        if (!productId || !entryId) return { ok: false, intent, error: "Missing productId or entryId" };
+
+        try {
+            const result = await revertMappingsToEntry(supabase, shop, productId, entryId, {
+                sourceRef: [historySource.sourceRef, `#${entryId}`].filter(Boolean).join(" "),
+            });
+
+            const tagResult = await removeSchoolTagsForDeletedMappings(
+                admin,
+                supabase,
+                shop,
+                productId,
+                result.removedCollectionIds
+            );
+
+            let gradeMetafield = null;
+            if ((await getShopSettings(supabase, shop)).grade_metafield_sync) {
+                try {
+                    gradeMetafield = await pushGradeMetafield(admin, supabase, shop, productId);
+                } catch (e) {
+                    gradeMetafield = { status: "error", error: safeErrToString(e) };
+                }
+            }
+
+            return { ok: true, intent, productId, ...result, ...tagResult, gradeMetafield };
+        } catch (e) {
+            return { ok: false, intent, error: safeErrToString(e) };
+        }
+    }
+
     if (intent === "deleteMapping") {
 
         const productId = cleanText(form.get("productId"));
@@ -1295,17 +1653,39 @@ export const action = async ({ request }) => {
             return { ok: false, error: "Missing productId or collectionId" };
         }
 
-        const { error } = await supabase
-            .from(EXTERNAL_TABLE)
-            .delete()
-            .eq("shopify_product_id", productId)
-            .eq("collection_id", collectionId);
+        try {
+            const history = await startMappingHistory(supabase, shop, { productIds: [productId] }, historySource);
 
-        if (error) {
-            return { ok: false, error: error.message };
-        }
+            const { error } = await supabase
+                .from(EXTERNAL_TABLE)
+                .delete()
+                .eq("shop", shop)
+                .eq("shopify_product_id", productId)
+                .eq("collection_id", collectionId);
+
+            if (error) {
+                return { ok: false, error: error.message };
+            }
+
+            await history.record();
+
+            const tagResult = await removeSchoolTagsForDeletedMappings(admin, supabase, shop, productId, [
+                collectionId,
+            ]);
+
+            let gradeMetafield = null;
+            if ((await getShopSettings(supabase, shop)).grade_metafield_sync) {
+                try {
+                    gradeMetafield = await pushGradeMetafield(admin, supabase, shop, productId);
+                } catch (e) {
+                    gradeMetafield = { status: "error", error: safeErrToString(e) };
+                }
+            }
 
-        return { ok: true, intent, productId, collectionId };
+            return { ok: true, intent, productId, collectionId, ...tagResult, gradeMetafield };
+        } catch (e) {
+            return { ok: false, error: safeErrToString(e) };
+        }
     }
 
     // delete only one collection row from external DB
@@ -1317,15 +1697,33 @@ export const action = async ({ request }) => {
         if (!collectionId) return { ok: false, error: "Missing collectionId" };
 
         try {
+            const history = await startMappingHistory(supabase, shop, { productIds: [productId] }, historySource);
+
             const { error: delErr } = await supabase
                 .from(EXTERNAL_TABLE)
                 .delete()
+                .eq("shop", shop)
                 .eq("shopify_product_id", productId)
                 .eq("collection_id", collectionId);
 
             if (delErr) throw new Error(delErr.message);
 
-            return { ok: true, intent, productId, collectionId };
+            await history.record();
+
+            const tagResult = await removeSchoolTagsForDeletedMappings(admin, supabase, shop, productId, [
+                collectionId,
+            ]);
+
+            let gradeMetafield = null;
+            if ((await getShopSettings(supabase, shop)).grade_metafield_sync) {
+                try {
+                    gradeMetafield = await pushGradeMetafield(admin, supabase, shop, productId);
+                } catch (e) {
+                    gradeMetafield = { status: "error", error: safeErrToString(e) };
+                }
+            }
+
+            return { ok: true, intent, productId, collectionId, ...tagResult, gradeMetafield };
         } catch (e) {
             return { ok: false, error: safeErrToString(e) };
         }
@@ -1398,11 +1796,28 @@ export const action = async ({ request }) => {
             }
         }
 
-        const resolvedSchoolTag = await fetchShopifySchoolTagByHandle(admin, productHandle);
+        const schools = await getSchools(supabase, shop);
+        const { schoolNameByCollectionId } = buildSchoolLookups(schools);
+
+        // Grades are stored as the school's canonical codes, in list order
+        const gradeCatalog = await getGradeCatalog(supabase, shop);
+        for (const item of collectionGradesList) {
+            if (!item) continue;
+            const school = schools.find((s) => s.collection_id === cleanText(item?.id));
+            item.all_grades = item.all_grades === true || isAllGradesValue(item.grade);
+            item.grade = requireKnownGrades(gradeCatalog, item?.id, item?.grade, school?.display_name).join(",");
+        }
+
+        const resolvedSchoolTag = await fetchShopifySchoolTagByHandle(
+            admin,
+            productHandle,
+            getAllowedSchoolNames(schools)
+        );
 
         const { data: existingRows, error: existingRowsErr } = await supabase
             .from(EXTERNAL_TABLE)
             .select("collection_id, school_tag")
+            .eq("shop", shop)
             .eq("shopify_product_id", productId);
 
         if (existingRowsErr) {
@@ -1426,6 +1841,7 @@ export const action = async ({ request }) => {
             );
 
             return {
+                shop,
                 shopify_product_id: productId,
                 product_title: productTitle || null,
                 product_handle: productHandle || null,
@@ -1437,35 +1853,64 @@ export const action = async ({ request }) => {
                 school_tag: mergedSchoolTags.length ? mergedSchoolTags.join(",") : null,
 
                 grade: String(item.grade ?? "").trim() || null,
+                all_grades: item.all_grades === true,
                 size_range: sizeRangeVal,
                 size_type: sizeTypeVal,
                 size: sizeArr,
+                // saving a school again brings back a soft-deleted mapping
+                deleted_at: null,
                 updated_at: new Date().toISOString(),
             };
         });
 
+        let tagResult = {};
+        const history = await startMappingHistory(supabase, shop, { productIds: [productId] }, historySource);
+
         if (upsertRecords.length > 0) {
             const { error: upErr } = await supabase
                 .from(EXTERNAL_TABLE)
-                .upsert(upsertRecords, { onConflict: "shopify_product_id,collection_id" });
+                .upsert(upsertRecords, { onConflict: "shop,shopify_product_id,collection_id" });
 
             if (upErr) throw new Error(upErr.message);
 
             // NEW: update Grade in "master database colours"
             await updateMasterDatabaseGrades(supabase, {
+                shop,
                 productHandle,
                 collectionGradesList,
+                schoolNameByCollectionId,
             });
         } else {
             const { error: delErr } = await supabase
                 .from(EXTERNAL_TABLE)
                 .delete()
+                .eq("shop", shop)
                 .eq("shopify_product_id", productId);
 
             if (delErr) throw new Error(delErr.message);
+
+            tagResult = await removeSchoolTagsForDeletedMappings(
+                admin,
+                supabase,
+                shop,
+                productId,
+                (existingRows || []).map((r) => r?.collection_id)
+            );
         }
 
-        return { ok: true, productId };
+        await history.record();
+
+        // Opt-in: mirror the mapped grades into custom.grade
+        let gradeMetafield = null;
+        if ((await getShopSettings(supabase, shop)).grade_metafield_sync) {
+            try {
+                gradeMetafield = await pushGradeMetafield(admin, supabase, shop, productId);
+            } catch (e) {
+                gradeMetafield = { status: "error", error: safeErrToString(e) };
+            }
+        }
+
+        return { ok: true, productId, gradeMetafield, ...tagResult };
     } catch (e) {
         return { ok: false, error: safeErrToString(e) };
     }
@@ -1473,6 +1918,473 @@ export const action = async ({ request }) => {
 
 /* ---------------- UI ---------------- */
 
+function formatDiffValue(value) {
+    if (Array.isArray(value)) return value.join(", ") || "—";
+    return cleanText(value) || "—";
+}
+
+function GradeConflictsCard({ conflicts, busy, error, onResolve }) {
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <BlockStack gap="100">
+                        <Text as="h2" variant="headingMd">
+                            Grade metafield conflicts
+                        </Text>
+                        <Text as="span" tone="subdued" variant="bodySm">
+                            custom.grade was changed in Shopify admin after the app last wrote it, so the mapped
+                            grades were not written. Choose which value to keep.
+                        </Text>
+                    </BlockStack>
+
+                    {error ? (
+                        <Banner tone="critical">
+                            <p>{error}</p>
+                        </Banner>
+                    ) : null}
+
+                    {conflicts.map((c) => (
+                        <InlineStack key={c.productId} align="space-between" blockAlign="center" gap="200">
+                            <BlockStack gap="050">
+                                <Text as="span" fontWeight="semibold">
+                                    {c.title || c.handle || c.productId}
+                                </Text>
+                                <Text as="span" tone="subdued" variant="bodySm">
+                                    Shopify: {c.shopifyGrades.join(", ") || "empty"} | App: {c.appGrades.join(", ") || "empty"}
+                                </Text>
+                            </BlockStack>
+
+                            <InlineStack gap="200">
+                                <Button size="slim" disabled={busy} onClick={() => onResolve(c.productId, "keepShopify")}>
+                                    Keep Shopify value
+                                </Button>
+                                <Button
+                                    size="slim"
+                                    variant="primary"
+                                    disabled={busy}
+                                    onClick={() => onResolve(c.productId, "useApp")}
+                                >
+                                    Write app grades
+                                </Button>
+                            </InlineStack>
+                        </InlineStack>
+                    ))}
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+function DryRunPanel({ job, items, busy, syncRunning, onStart, onPromote, onViewItems }) {
+    const status = job?.status || "idle";
+    const isActive = status === "queued" || status === "running";
+    const isDone = status === "completed";
+    const total = Number(job?.total_master || 0);
+    const offset = Math.min(Number(job?.batch_offset || 0), total || Number(job?.batch_offset || 0));
+
+    const rows = (items || []).map((item) => [
+        item.handle,
+        item.action,
+        `${formatDiffValue(item.old_grade)} → ${formatDiffValue(item.new_grade)}`,
+        `${formatDiffValue(item.old_size)} → ${formatDiffValue(item.new_size)}`,
+        `${formatDiffValue(item.old_school_tag)} → ${formatDiffValue(item.new_school_tag)}`,
+    ]);
+
+    return (
+        <Card sectioned>
+            <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                        <Text as="h3" variant="headingSm">
+                            Dry run
+                        </Text>
+                        <Text as="span" tone="subdued" variant="bodySm">
+                            Walks the master sheet like Sync all and records what would change, without
+                            touching the mappings.
+                        </Text>
+                    </BlockStack>
+
+                    <InlineStack gap="200">
+                        <Button
+                            size="slim"
+                            loading={busy}
+                            disabled={busy || isActive || syncRunning}
+                            onClick={onStart}
+                        >
+                            {job ? "New dry run" : "Start dry run"}
+                        </Button>
+
+                        {isDone ? (
+                            <Button size="slim" onClick={onViewItems}>
+                                View all handles
+                            </Button>
+                        ) : null}
+
+                        {isDone && !job?.promoted_job_id ? (
+                            <Button
+                                size="slim"
+                                variant="primary"
+                                disabled={busy || syncRunning}
+                                onClick={onPromote}
+                            >
+                                Promote to real run
+                            </Button>
+                        ) : null}
+                    </InlineStack>
+                </InlineStack>
+
+                {isActive ? (
+                    <Text as="span" tone="subdued">
+                        Running… {total ? `${offset} / ${total}` : `${offset} / ?`}
+                    </Text>
+                ) : null}
+
+                {isDone ? (
+                    <BlockStack gap="200">
+                        <Text as="p">
+                            Would insert {job?.inserted_products || 0} products ({job?.inserted_rows || 0} rows) and
+                            update {job?.updated_handles || 0} handles ({job?.updated_rows || 0} rows). Not in
+                            Shopify: {job?.missing_in_shopify || 0}. Failed: {job?.failed_handles || 0}.
+                        </Text>
+
+                        {job?.promoted_job_id ? (
+                            <Badge tone="success">Promoted to a real run</Badge>
+                        ) : null}
+
+                        {rows.length ? (
+                            <DataTable
+                                columnContentTypes={["text", "text", "text", "text", "text"]}
+                                headings={["Handle", "Action", "Grade", "Size", "School tag"]}
+                                rows={rows}
+                                footerContent={
+                                    rows.length >= 100 ? "Showing the first 100 changed handles" : undefined
+                                }
+                            />
+                        ) : (
+                            <Text as="span" tone="subdued">
+                                No mapping would change.
+                            </Text>
+                        )}
+                    </BlockStack>
+                ) : null}
+            </BlockStack>
+        </Card>
+    );
+}
+
+const BULK_ACTIONS = {
+    addGrade: { label: "Add grade", needsSchool: true, needsGrade: true },
+    removeGrade: { label: "Remove grade", needsSchool: true, needsGrade: true },
+    assignSchool: { label: "Assign school", needsSchool: true, optionalGrade: true },
+    removeSchool: { label: "Remove school", needsSchool: true },
+    setSizeType: { label: "Set size type", optionalSchool: true, needsSizeType: true },
+};
+
+function bulkSummaryText(summary) {
+    const parts = [];
+    if (summary.insertedRows) parts.push(`${summary.insertedRows} mappings added`);
+    if (summary.updatedRows) parts.push(`${summary.updatedRows} updated`);
+    if (summary.deletedRows) parts.push(`${summary.deletedRows} removed`);
+    if (summary.unchangedRows) parts.push(`${summary.unchangedRows} already up to date`);
+    if (summary.skippedRows) {
+        parts.push(`${summary.skippedRows} skipped (grade range or all grades; the school has no grade list)`);
+    }
+    if (summary.skippedProducts) parts.push(`${summary.skippedProducts} products skipped (no matching mapping)`);
+    if (summary.removedTags) parts.push(`${summary.removedTags} school tags removed`);
+
+    return parts.length ? parts.join(", ") : "Nothing changed";
+}
+
+function BulkEditPanel({ operation, selectedCount, schools, busy, onApply, onCancel }) {
+    const config = BULK_ACTIONS[operation];
+
+    const [collectionId, setCollectionId] = useState("");
+    const [grade, setGrade] = useState("");
+    const [sizeType, setSizeType] = useState("");
+
+    const schoolOptions = [
+        { label: config.optionalSchool ? "All schools" : "Choose a school", value: "" },
+        ...[...(schools || [])]
+            .sort((a, b) => String(a.display_name || "").localeCompare(String(b.display_name || "")))
+            .map((s) => ({ label: s.display_name, value: s.collection_id })),
+    ];
+
+    const ready = (!config.needsSchool || collectionId) && (!config.needsGrade || cleanText(grade));
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <Text as="h2" variant="headingMd">
+                        {config.label} · {selectedCount} selected products
+                    </Text>
+
+                    <InlineStack gap="200" blockAlign="end" wrap>
+                        {config.needsSchool || config.optionalSchool ? (
+                            <div style={{ minWidth: 220 }}>
+                                <Select label="School" options={schoolOptions} value={collectionId} onChange={setCollectionId} />
+                            </div>
+                        ) : null}
+
+                        {config.needsGrade || config.optionalGrade ? (
+                            <div style={{ width: 140 }}>
+                                <TextField
+                                    label={config.optionalGrade ? "Grade (optional)" : "Grade"}
+                                    value={grade}
+                                    onChange={setGrade}
+                                    autoComplete="off"
+                                />
+                            </div>
+                        ) : null}
+
+                        {config.needsSizeType ? (
+                            <div style={{ width: 180 }}>
+                                <TextField
+                                    label="Size type"
+                                    helpText="Leave empty to clear it"
+                                    value={sizeType}
+                                    onChange={setSizeType}
+                                    autoComplete="off"
+                                />
+                            </div>
+                        ) : null}
+
+                        <Button
+                            variant="primary"
+                            loading={busy}
+                            disabled={busy || !ready}
+                            onClick={() => onApply({ operation, collectionId, grade, sizeType })}
+                        >
+                            Apply
+                        </Button>
+                        <Button disabled={busy} onClick={onCancel}>
+                            Cancel
+                        </Button>
+                    </InlineStack>
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+function ExportMappingsCard({ schools }) {
+    const exportFetcher = useFetcher();
+
+    const [collectionId, setCollectionId] = useState("");
+    const [grade, setGrade] = useState("");
+    const [sizeType, setSizeType] = useState("");
+    const [format, setFormat] = useState("csv");
+
+    const schoolOptions = useMemo(
+        () => [
+            { label: "All schools", value: "" },
+            ...[...(schools || [])]
+                .sort((a, b) => String(a.display_name || "").localeCompare(String(b.display_name || "")))
+                .map((s) => ({ label: s.display_name, value: s.collection_id })),
+        ],
+        [schools]
+    );
+
+    useEffect(() => {
+        const d = exportFetcher.data;
+        if (exportFetcher.state !== "idle" || !d?.ok || d.intent !== "exportMappings" || !d.rowCount) return;
+
+        const school = (schools || []).find((s) => s.collection_id === collectionId);
+        const name = ["mappings", school?.display_name, grade, sizeType]
+            .filter(Boolean)
+            .join("-")
+            .toLowerCase()
+            .replace(/[^a-z0-9-]+/g, "-");
+
+        if (d.format === "xlsx") downloadBase64(`${name}.xlsx`, d.base64, XLSX_TYPE);
+        else downloadCsv(`${name}.csv`, toCsv(d.headers, d.rows));
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [exportFetcher.state, exportFetcher.data]);
+
+    const result = exportFetcher.state === "idle" ? exportFetcher.data : null;
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <Text as="h2" variant="headingMd">
+                        Export mappings
+                    </Text>
+
+                    <InlineStack gap="200" blockAlign="end" wrap>
+                        <div style={{ minWidth: 220 }}>
+                            <Select label="School" options={schoolOptions} value={collectionId} onChange={setCollectionId} />
+                        </div>
+                        <div style={{ width: 120 }}>
+                            <TextField label="Grade" value={grade} onChange={setGrade} autoComplete="off" />
+                        </div>
+                        <div style={{ width: 160 }}>
+                            <TextField label="Size type" value={sizeType} onChange={setSizeType} autoComplete="off" />
+                        </div>
+                        <div style={{ width: 110 }}>
+                            <Select
+                                label="Format"
+                                options={[
+                                    { label: "CSV", value: "csv" },
+                                    { label: "XLSX", value: "xlsx" },
+                                ]}
+                                value={format}
+                                onChange={setFormat}
+                            />
+                        </div>
+                        <Button
+                            loading={exportFetcher.state !== "idle"}
+                            onClick={() =>
+                                exportFetcher.submit(
+                                    { intent: "exportMappings", collectionId, grade, sizeType, format },
+                                    { method: "post" }
+                                )
+                            }
+                        >
+                            Export
+                        </Button>
+                    </InlineStack>
+
+                    {result?.ok === false && (
+                        <Text as="p" tone="critical">
+                            {result.error}
+                        </Text>
+                    )}
+                    {result?.ok && result.rowCount === 0 && (
+                        <Text as="p" tone="subdued">
+                            No mappings match these filters.
+                        </Text>
+                    )}
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+const HISTORY_FIELDS = {
+    grade: "Grade",
+    all_grades: "All grades",
+    size: "Sizes",
+    size_range: "Size range",
+    size_type: "Size type",
+    school_tag: "School tag",
+    product_title: "Title",
+    product_handle: "Handle",
+};
+
+function historyValue(row, field) {
+    if (!row) return "—";
+    if (field === "all_grades") return row.all_grades === true ? "Yes" : "No";
+    return formatDiffValue(row[field]);
+}
+
+function historyChanges(entry) {
+    if (entry.action === "insert") return `Added with grade ${historyValue(entry.after, "grade")}`;
+    if (entry.action === "delete") return `Removed (grade ${historyValue(entry.before, "grade")})`;
+
+    return Object.entries(HISTORY_FIELDS)
+        .filter(([field]) => historyValue(entry.before, field) !== historyValue(entry.after, field))
+        .map(([field, label]) => `${label}: ${historyValue(entry.before, field)} → ${historyValue(entry.after, field)}`)
+        .join("; ");
+}
+
+function MappingHistoryModal({ product, schools, onClose }) {
+    const historyFetcher = useFetcher();
+    const revertFetcher = useFetcher();
+
+    const schoolNameById = useMemo(
+        () => Object.fromEntries((schools || []).map((s) => [s.collection_id, s.display_name])),
+        [schools]
+    );
+
+    const load = () => historyFetcher.submit({ intent: "mappingHistory", productId: product.id }, { method: "post" });
+
+    useEffect(() => {
+        if (product?.id) load();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [product?.id]);
+
+    // Show the revert itself as the newest entry
+    useEffect(() => {
+        if (revertFetcher.state === "idle" && revertFetcher.data?.ok && product?.id) load();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [revertFetcher.state, revertFetcher.data]);
+
+    const loaded = historyFetcher.data?.ok && historyFetcher.data.productId === product?.id;
+    const entries = loaded ? historyFetcher.data.entries : [];
+    const reverting = revertFetcher.state !== "idle";
+    const reverted = revertFetcher.state === "idle" && revertFetcher.data?.ok ? revertFetcher.data : null;
+    const error = [historyFetcher.data, revertFetcher.data].find((d) => d?.ok === false)?.error;
+
+    return (
+        <Modal open={!!product} onClose={onClose} title={`Mapping history: ${product?.title || ""}`} size="large">
+            <Modal.Section>
+                <BlockStack gap="300">
+                    <Text as="p" tone="subdued" variant="bodySm">
+                        Every change to this product&apos;s mappings, newest first. &quot;Revert to here&quot; puts every
+                        school back the way it was right after that change.
+                    </Text>
+
+                    {error && (
+                        <Banner tone="critical">
+                            <p>{error}</p>
+                        </Banner>
+                    )}
+                    {reverted && (
+                        <Banner tone={reverted.tagError ? "warning" : "success"}>
+                            <p>
+                                Reverted: {reverted.restored} mappings restored, {reverted.removedCollectionIds.length}{" "}
+                                removed.
+                                {reverted.tagError ? ` The school tag could not be removed: ${reverted.tagError}` : ""}
+                            </p>
+                        </Banner>
+                    )}
+
+                    {historyFetcher.state !== "idle" && !entries.length ? (
+                        <Text as="p" tone="subdued">
+                            Loading…
+                        </Text>
+                    ) : entries.length ? (
+                        <DataTable
+                            columnContentTypes={["text", "text", "text", "text", "text"]}
+                            headings={["When", "School", "Change", "Source", ""]}
+                            rows={entries.map((e) => [
+                                new Date(e.created_at).toLocaleString(),
+                                schoolNameById[e.collection_id] ||
+                                    (e.after || e.before)?.collection_title ||
+                                    e.collection_id,
+                                historyChanges(e),
+                                [e.source, e.source_ref].filter(Boolean).join(" · "),
+                                <Button
+                                    key={e.id}
+                                    size="slim"
+                                    disabled={reverting}
+                                    loading={reverting && revertFetcher.formData?.get("entryId") === String(e.id)}
+                                    onClick={() =>
+                                        revertFetcher.submit(
+                                            { intent: "revertMapping", productId: product.id, entryId: String(e.id) },
+                                            { method: "post" }
+                                        )
+                                    }
+                                >
+                                    Revert to here
+                                </Button>,
+                            ])}
+                        />
+                    ) : (
+                        <Text as="p" tone="subdued">
+                            No recorded changes yet.
+                        </Text>
+                    )}
+                </BlockStack>
+            </Modal.Section>
+        </Modal>
+    );
+}
+
 export default function GradeCollectionPage() {
     const loaderData = useLoaderData();
 
@@ -1482,7 +2394,12 @@ export default function GradeCollectionPage() {
 
     const fetcher = useFetcher(); // saveRow
     const syncFetcher = useFetcher(); // syncGradesBatch
+    const dryRunFetcher = useFetcher(); // startDryRun / promoteDryRun
+    const conflictFetcher = useFetcher(); // resolveGradeConflict
     const searchFetcher = useFetcher(); // for search form (to reset pagination)
+    const bulkFetcher = useFetcher(); // bulkEdit
+
+    const [historyProduct, setHistoryProduct] = useState(null);
 
     const data = loaderData;
 
@@ -1490,6 +2407,7 @@ export default function GradeCollectionPage() {
         shop,
         products,
         collections,
+        schools,
         hasNextPage,
         endCursor,
         after,
@@ -1497,6 +2415,10 @@ export default function GradeCollectionPage() {
         searchQuery: initialSearchQuery,
         selectedSchool: initialSelectedSchool,
         syncJob,
+        dryRunJob,
+        dryRunItems,
+        gradeMetafieldSync,
+        gradeConflicts,
     } = data;
 
     const [collectionGradeByProductId, setCollectionGradeByProductId] = useState({});
@@ -1538,6 +2460,13 @@ export default function GradeCollectionPage() {
 
     const currentStatus = currentJob?.status || "idle";
 
+    const currentDryRun =
+        dryRunFetcher.state !== "idle"
+            ? (dryRunFetcher.data?.dryRunJob ?? searchFetcher.data?.dryRunJob ?? dryRunJob ?? null)
+            : (searchFetcher.data?.dryRunJob ?? dryRunJob ?? null);
+    const currentDryRunItems = searchFetcher.data?.dryRunItems ?? dryRunItems ?? [];
+    const isDryRunActive = ["queued", "running"].includes(currentDryRun?.status);
+
     const isRunning = currentStatus === "queued" || currentStatus === "running";
     const isPaused = currentStatus === "paused";
     const alreadyComplete = currentStatus === "completed";
@@ -1572,13 +2501,20 @@ export default function GradeCollectionPage() {
     const [isCollectionFilterLoading, setIsCollectionFilterLoading] = useState(false);
 
     const saveError = fetcher.data?.ok === false ? fetcher.data.error : null;
+    const saveGradeMetafield = fetcher.state === "idle" ? fetcher.data?.gradeMetafield : null;
+    const saveTagError = fetcher.state === "idle" ? fetcher.data?.tagError : null;
+    const currentGradeConflicts = searchFetcher.data?.gradeConflicts ?? gradeConflicts ?? [];
 
     const syncError =
         syncFetcher.data?.ok === false
             ? syncFetcher.data.error
-            : currentJob?.status === "failed"
-                ? currentJob?.error_message
-                : null;
+            : dryRunFetcher.data?.ok === false
+                ? dryRunFetcher.data.error
+                : currentJob?.status === "failed"
+                    ? currentJob?.error_message
+                    : currentDryRun?.status === "failed"
+                        ? currentDryRun?.error_message
+                        : null;
 
 
     useEffect(() => {
@@ -1586,15 +2522,27 @@ export default function GradeCollectionPage() {
     }, [initialSearchQuery, initialSelectedSchool]);
 
     useEffect(() => {
-        if (!currentJob) return;
-        if (!["queued", "running", "paused"].includes(currentJob.status)) return;
+        if (dryRunFetcher.state !== "idle" || !dryRunFetcher.data?.ok) return;
+        searchFetcher.load(window.location.pathname + window.location.search);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [dryRunFetcher.state, dryRunFetcher.data]);
+
+    useEffect(() => {
+        if (conflictFetcher.state !== "idle" || !conflictFetcher.data?.ok) return;
+        searchFetcher.load(window.location.pathname + window.location.search);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [conflictFetcher.state, conflictFetcher.data]);
+
+    useEffect(() => {
+        const jobActive = ["queued", "running", "paused"].includes(currentJob?.status);
+        if (!jobActive && !isDryRunActive) return;
 
         const timer = setInterval(() => {
             searchFetcher.load(window.location.pathname + window.location.search);
         }, 5000);
 
         return () => clearInterval(timer);
-    }, [currentJob, searchFetcher]);
+    }, [currentJob, isDryRunActive, searchFetcher]);
 
     useEffect(() => {
         if (displayPct >= 100 && !waveFrozen) {
@@ -1615,28 +2563,35 @@ export default function GradeCollectionPage() {
 
 
 
+    const allowedCollectionIds = useMemo(
+        () => new Set((schools || []).map((s) => String(s.collection_id))),
+        [schools]
+    );
+
     const collectionOptions = useMemo(() => {
         const filtered = (collections || []).filter((c) =>
-            ALLOWED_COLLECTION_IDS.has(String(c.id))
+            allowedCollectionIds.has(String(c.id))
         );
 
         return [
             { label: "No collection", value: "" },
             ...filtered.map((c) => ({ label: c.title, value: c.id })),
         ];
-    }, [collections]);
+    }, [collections, allowedCollectionIds]);
 
     const schoolFilterOptions = useMemo(() => {
-        const schools = getAllowedSchoolNames().sort((a, b) => a.localeCompare(b));
+        const sorted = [...(schools || [])].sort((a, b) =>
+            String(a.display_name || "").localeCompare(String(b.display_name || ""))
+        );
 
         return [
             { label: "All schools", value: "" },
-            ...schools.map((school) => ({
-                label: school,
-                value: school,
+            ...sorted.map((school) => ({
+                label: school.display_name,
+                value: getAllowedSchoolNames([school])[0] || school.display_name,
             })),
         ];
-    }, []);
+    }, [schools]);
 
     const gidToTitle = useMemo(() => {
         const m = new Map();
@@ -1675,6 +2630,38 @@ export default function GradeCollectionPage() {
     { title: "Grade" }, { title: "Action" }], []);
 
     const filteredProducts = products || [];
+
+    const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+        useIndexResourceState(filteredProducts);
+    const [bulkOperation, setBulkOperation] = useState(null);
+
+    const bulkResult = bulkFetcher.state === "idle" ? bulkFetcher.data : null;
+
+    useEffect(() => {
+        if (bulkFetcher.state !== "idle" || !bulkFetcher.data?.ok) return;
+        setBulkOperation(null);
+        clearSelection();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [bulkFetcher.state, bulkFetcher.data]);
+
+    const applyBulkEditToSelection = ({ operation, collectionId, grade, sizeType }) => {
+        bulkFetcher.submit(
+            {
+                intent: "bulkEdit",
+                operation,
+                productIds: JSON.stringify(selectedResources),
+                collectionId,
+                grade,
+                sizeType,
+            },
+            { method: "post" }
+        );
+    };
+
+    const promotedBulkActions = Object.entries(BULK_ACTIONS).map(([operation, config]) => ({
+        content: config.label,
+        onAction: () => setBulkOperation(operation),
+    }));
     const shouldShowPagination = !!after || hasNextPage;
 
 
@@ -1731,12 +2718,45 @@ export default function GradeCollectionPage() {
         );
     };
 
+    const startDryRun = () => {
+        dryRunFetcher.submit(
+            {
+                intent: "startDryRun",
+            },
+            { method: "POST" }
+        );
+    };
+
+    const promoteDryRun = () => {
+        if (!currentDryRun?.id) return;
+
+        dryRunFetcher.submit(
+            {
+                intent: "promoteDryRun",
+                jobId: String(currentDryRun.id),
+            },
+            { method: "POST" }
+        );
+    };
+
+    const resolveGradeConflict = (productId, resolution) => {
+        conflictFetcher.submit(
+            {
+                intent: "resolveGradeConflict",
+                productId,
+                resolution,
+            },
+            { method: "POST" }
+        );
+    };
+
     const saveRow = (p) => {
         const collectionsData = [...(collectionGradeByProductId[p.id] || [])].map((item) => ({
             id: item.id,
             title: item.title,
             handle: item.handle,
             grade: item.grade,
+            all_grades: item.all_grades === true,
         }));
 
         setAddingCollectionFor(null);
@@ -1847,6 +2867,40 @@ export default function GradeCollectionPage() {
                         </Banner>
                     )}
 
+                    {saveGradeMetafield?.status === "conflict" && (
+                        <Banner tone="warning" title="custom.grade was not updated">
+                            <p>
+                                The grade metafield was edited in Shopify admin ({saveGradeMetafield.shopifyGrades.join(", ") || "empty"}).
+                                Resolve it under Grade metafield conflicts.
+                            </p>
+                        </Banner>
+                    )}
+
+                    {saveGradeMetafield?.status === "error" && (
+                        <Banner tone="warning" title="custom.grade was not updated">
+                            <p>{renderErrorText(saveGradeMetafield.error)}</p>
+                        </Banner>
+                    )}
+
+                    {saveTagError && (
+                        <Banner tone="warning" title="School tag was not removed">
+                            <p>
+                                The mapping was deleted but the Shopify tag could not be removed: {renderErrorText(saveTagError)}
+                            </p>
+                        </Banner>
+                    )}
+
+                    {gradeMetafieldSync && currentGradeConflicts.length > 0 && (
+                        <GradeConflictsCard
+                            conflicts={currentGradeConflicts}
+                            busy={conflictFetcher.state !== "idle"}
+                            error={conflictFetcher.data?.ok === false ? conflictFetcher.data.error : null}
+                            onResolve={resolveGradeConflict}
+                        />
+                    )}
+
+                    <ExportMappingsCard schools={schools} />
+
                     {syncError && (
                         <Banner tone="critical" title="Sync error">
                             <p>{renderErrorText(syncError)}</p>
@@ -1861,7 +2915,15 @@ export default function GradeCollectionPage() {
                                 Unique handles: {currentJob?.unique_handles || 0} | Updated handles:{" "}
                                 {currentJob?.updated_handles || 0} | Updated rows: {currentJob?.updated_rows || 0}
                             </p>
-                            <p>Not in Shopify: {currentJob?.missing_in_shopify || 0}</p>
+                            <p>
+                                Not in Shopify: {currentJob?.missing_in_shopify || 0} | Failed:{" "}
+                                {currentJob?.failed_handles || 0}
+                            </p>
+                            <InlineStack>
+                                <Button variant="plain" onClick={() => navigate(`/home/sync-jobs/${currentJob.id}`)}>
+                                    View handle log
+                                </Button>
+                            </InlineStack>
                         </Banner>
                     )}
 
@@ -2025,6 +3087,16 @@ export default function GradeCollectionPage() {
                                     </BlockStack>
                                 </Card>
 
+                                <DryRunPanel
+                                    job={currentDryRun}
+                                    items={currentDryRunItems}
+                                    busy={dryRunFetcher.state !== "idle"}
+                                    syncRunning={isRunning}
+                                    onStart={startDryRun}
+                                    onPromote={promoteDryRun}
+                                    onViewItems={() => navigate(`/home/sync-jobs/${currentDryRun?.id}`)}
+                                />
+
                                 <div
                                     style={{
                                         display: "flex",
@@ -2086,16 +3158,45 @@ export default function GradeCollectionPage() {
                                 </div>
 
 
+                                {bulkResult?.ok === false && (
+                                    <Banner tone="critical" title="Bulk edit failed">
+                                        <p>{renderErrorText(bulkResult.error)}</p>
+                                    </Banner>
+                                )}
+
+                                {bulkResult?.ok && (
+                                    <Banner tone={bulkResult.summary.errors.length ? "warning" : "success"} title="Bulk edit applied">
+                                        <p>{bulkSummaryText(bulkResult.summary)}.</p>
+                                        {bulkResult.summary.errors.map((err) => (
+                                            <p key={err}>{err}</p>
+                                        ))}
+                                    </Banner>
+                                )}
+
+                                {bulkOperation && selectedResources.length > 0 && (
+                                    <BulkEditPanel
+                                        key={bulkOperation}
+                                        operation={bulkOperation}
+                                        selectedCount={selectedResources.length}
+                                        schools={schools}
+                                        busy={bulkFetcher.state !== "idle"}
+                                        onApply={applyBulkEditToSelection}
+                                        onCancel={() => setBulkOperation(null)}
+                                    />
+                                )}
+
                                 <IndexTable
                                     resourceName={{ singular: "product", plural: "products" }}
                                     itemCount={filteredProducts.length}
-                                    selectable={false}
+                                    selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                                    onSelectionChange={handleSelectionChange}
+                                    promotedBulkActions={promotedBulkActions}
                                     headings={headings}
                                 >
                                     {filteredProducts.map((p, idx) => {
                                         const currentCollectionGrades = collectionGradeByProductId[p.id] || [];
                                         const allowedCollections = currentCollectionGrades.filter((c) =>
-                                            ALLOWED_COLLECTION_IDS.has(String(c.id))
+                                            allowedCollectionIds.has(String(c.id))
                                         );
 
                                         const originalCollectionGrades =
@@ -2117,7 +3218,12 @@ export default function GradeCollectionPage() {
                                             JSON.stringify(originalCollectionGrades);
 
                                         return (
-                                            <IndexTable.Row id={p.id} key={p.id} position={idx}>
+                                            <IndexTable.Row
+                                                id={p.id}
+                                                key={p.id}
+                                                position={idx}
+                                                selected={selectedResources.includes(p.id)}
+                                            >
                                                 <IndexTable.Cell>
                                                     <InlineStack align="trailing" gap="100">
                                                         {p.imageUrl ? (
@@ -2334,8 +3440,9 @@ export default function GradeCollectionPage() {
                                                                             <TextField
                                                                                 label={`Grade for ${collItem.title}`}
                                                                                 labelHidden
-                                                                                placeholder="Enter grade"
-                                                                                value={String(collItem.grade ?? "")}
+                                                                                placeholder="e.g. 3 or K-5"
+                                                                                disabled={collItem.all_grades === true}
+                                                                                value={collItem.all_grades === true ? "All grades" : String(collItem.grade ?? "")}
                                                                                 onChange={(v) => {
                                                                                     setCollectionGradeByProductId((prev) => {
                                                                                         const existing = prev[p.id] || [];
@@ -2353,6 +3460,23 @@ export default function GradeCollectionPage() {
                                                                             />
                                                                         </div>
 
+                                                                        <Checkbox
+                                                                            label="All"
+                                                                            checked={collItem.all_grades === true}
+                                                                            onChange={(checked) => {
+                                                                                setCollectionGradeByProductId((prev) => {
+                                                                                    const existing = prev[p.id] || [];
+
+                                                                                    return {
+                                                                                        ...prev,
+                                                                                        [p.id]: existing.map((item, idx2) =>
+                                                                                            idx2 === realIndex ? { ...item, all_grades: checked } : item
+                                                                                        ),
+                                                                                    };
+                                                                                });
+                                                                            }}
+                                                                        />
+
                                                                         <Button
                                                                             icon={DeleteIcon}
                                                                             tone="critical"
@@ -2441,14 +3565,19 @@ export default function GradeCollectionPage() {
                                                         </InlineStack>
 
                                                         {/* SAVE BUTTON */}
-                                                        <Button
-                                                            variant="primary"
-                                                            loading={savingThisRow(p.id)}
-                                                            disabled={!changed}
-                                                            onClick={() => saveRow(p)}
-                                                        >
-                                                            Save
-                                                        </Button>
+                                                        <InlineStack gap="200">
+                                                            <Button
+                                                                variant="primary"
+                                                                loading={savingThisRow(p.id)}
+                                                                disabled={!changed}
+                                                                onClick={() => saveRow(p)}
+                                                            >
+                                                                Save
+                                                            </Button>
+                                                            <Button variant="tertiary" onClick={() => setHistoryProduct(p)}>
+                                                                History
+                                                            </Button>
+                                                        </InlineStack>
                                                     </div>
                                                 </IndexTable.Cell>
                                             </IndexTable.Row>
@@ -2504,6 +3633,8 @@ export default function GradeCollectionPage() {
                     </Card>
                 </Layout.Section>
             </Layout>
+
+            <MappingHistoryModal product={historyProduct} schools={schools} onClose={() => setHistoryProduct(null)} />
         </Page>
     );
 }
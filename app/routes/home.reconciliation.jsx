@@ -0,0 +1,228 @@
+// app/routes/home.reconciliation.jsx
+
+import { useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import {
+    buildReconciliationReport,
+    getLatestSnapshotRun,
+    refreshCatalogSnapshot,
+    startCatalogSnapshot,
+} from "../utils/catalogSnapshot.server";
+import { downloadCsv, toCsv } from "../utils/csv";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Button,
+    Badge,
+} from "@shopify/polaris";
+
+const MAX_ROWS_SHOWN = 250;
+
+const REPORTS = [
+    {
+        key: "taggedNotMapped",
+        title: "Tagged for a school but not mapped",
+        desc: "The product carries the school's Shopify tag but has no mapping for that school.",
+    },
+    {
+        key: "inCollectionNotMapped",
+        title: "In a school collection but not mapped",
+        desc: "The product is in the school collection in Shopify but has no mapping for it.",
+    },
+    {
+        key: "mappedButDeleted",
+        title: "Mappings pointing at deleted products",
+        desc: "The mapping's product is no longer in the Shopify catalogue.",
+    },
+];
+
+function safeErrToString(e) {
+    if (!e) return "Unknown error";
+    if (typeof e === "string") return e;
+    if (e?.message && typeof e.message === "string") return e.message;
+    try {
+        return JSON.stringify(e);
+    } catch {
+        return String(e);
+    }
+}
+
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const run = await getLatestSnapshotRun(supabase, shop);
+
+    const lastCompleted =
+        run?.status === "completed" ? run : await getLatestSnapshotRun(supabase, shop, { status: "completed" });
+
+    const report = lastCompleted ? await buildReconciliationReport(supabase, shop) : null;
+
+    return { run, lastCompleted, report };
+};
+
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+    const form = await request.formData();
+    const intent = String(form.get("intent") || "");
+
+    try {
+        if (intent === "startSnapshot") {
+            const run = await startCatalogSnapshot(admin, supabase, shop);
+            return { ok: true, intent, run };
+        }
+
+        if (intent === "refreshSnapshot") {
+            const run = await refreshCatalogSnapshot(admin, supabase, shop);
+            return { ok: true, intent, run };
+        }
+
+        return { ok: false, intent, error: "Unknown intent" };
+    } catch (e) {
+        return { ok: false, intent, error: safeErrToString(e) };
+    }
+};
+
+function ReportCard({ report, rows }) {
+    const exportCsv = () => {
+        downloadCsv(
+            `${report.key}.csv`,
+            toCsv(
+                ["Product ID", "Title", "Handle", "School"],
+                rows.map((r) => [r.product_id, r.title, r.handle, r.school])
+            )
+        );
+    };
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                        <BlockStack gap="100">
+                            <InlineStack gap="200" blockAlign="center">
+                                <Text as="h2" variant="headingMd">
+                                    {report.title}
+                                </Text>
+                                <Badge tone={rows.length ? "attention" : "success"}>{String(rows.length)}</Badge>
+                            </InlineStack>
+                            <Text as="span" tone="subdued" variant="bodySm">
+                                {report.desc}
+                            </Text>
+                        </BlockStack>
+
+                        <Button size="slim" disabled={!rows.length} onClick={exportCsv}>
+                            Export CSV
+                        </Button>
+                    </InlineStack>
+
+                    {rows.length ? (
+                        <DataTable
+                            columnContentTypes={["text", "text", "text"]}
+                            headings={["Product", "Handle", "School"]}
+                            rows={rows
+                                .slice(0, MAX_ROWS_SHOWN)
+                                .map((r) => [r.title || r.product_id, r.handle || "—", r.school || "—"])}
+                            footerContent={
+                                rows.length > MAX_ROWS_SHOWN
+                                    ? `Showing ${MAX_ROWS_SHOWN} of ${rows.length}; export for the full list`
+                                    : undefined
+                            }
+                        />
+                    ) : (
+                        <Text as="p" tone="subdued">
+                            Nothing to fix.
+                        </Text>
+                    )}
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+export default function ReconciliationPage() {
+    const { run: loaderRun, lastCompleted, report } = useLoaderData();
+    const fetcher = useFetcher();
+    const pollFetcher = useFetcher();
+
+    const run = pollFetcher.data?.run ?? fetcher.data?.run ?? loaderRun;
+    const isRunning = run?.status === "running";
+    const error = fetcher.data?.ok === false ? fetcher.data.error : run?.status === "failed" ? run.error_message : null;
+
+    useEffect(() => {
+        if (!isRunning) return;
+
+        const timer = setInterval(() => {
+            if (pollFetcher.state !== "idle") return;
+            pollFetcher.submit({ intent: "refreshSnapshot" }, { method: "POST" });
+        }, 5000);
+
+        return () => clearInterval(timer);
+    }, [isRunning, pollFetcher]);
+
+    return (
+        <Page title="Reconciliation">
+            <Layout>
+                <Layout.Section>
+                    <BlockStack gap="400">
+                        {error && (
+                            <Banner tone="critical" title="Snapshot failed">
+                                <p>{error}</p>
+                            </Banner>
+                        )}
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                <InlineStack align="space-between" blockAlign="center">
+                                    <BlockStack gap="100">
+                                        <Text as="h2" variant="headingMd">
+                                            Catalogue snapshot
+                                        </Text>
+                                        <Text as="span" tone="subdued">
+                                            {isRunning
+                                                ? "Shopify is exporting the catalogue…"
+                                                : lastCompleted
+                                                    ? `${lastCompleted.object_count || 0} products, taken ${new Date(
+                                                        lastCompleted.completed_at
+                                                    ).toLocaleString()}`
+                                                    : "No snapshot yet."}
+                                        </Text>
+                                    </BlockStack>
+
+                                    <Button
+                                        variant="primary"
+                                        loading={fetcher.state !== "idle" || isRunning}
+                                        disabled={fetcher.state !== "idle" || isRunning}
+                                        onClick={() => fetcher.submit({ intent: "startSnapshot" }, { method: "POST" })}
+                                    >
+                                        Take snapshot
+                                    </Button>
+                                </InlineStack>
+                            </div>
+                        </Card>
+
+                        {report
+                            ? REPORTS.map((r) => <ReportCard key={r.key} report={r} rows={report[r.key] || []} />)
+                            : null}
+                    </BlockStack>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
@@ -5,11 +5,20 @@ import { useFetcher, useLoaderData } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
 import { getSupabaseAdmin } from "../supabase.server";
+import {
+  getSchools,
+  setSchoolActive,
+  setSchoolMembershipSync,
+  upsertSchool,
+} from "../utils/schools.server";
+import { getShopSettings, updateShopSettings } from "../utils/shopSettings.server";
+import { invalidateProxyCache } from "../utils/proxyCache.server";
 
 import {
   Badge,
   Banner,
   BlockStack,
+  Button,
   Card,
   InlineStack,
   Layout,
@@ -25,15 +34,6 @@ import {
    Constants
 ───────────────────────────────────────────── */
 
-// Only allow these collections in Settings page
-const ALLOWED_COLLECTION_IDS = new Set([
-  "gid://shopify/Collection/276875509831",
-  "gid://shopify/Collection/276875247687",
-  "gid://shopify/Collection/276875411527",
-  "gid://shopify/Collection/276875280455",
-  "gid://shopify/Collection/276875444295",
-  "gid://shopify/Collection/282935689287",
-]);
 const SETTINGS_TABLE = "settings";
 
 const SORT_OPTIONS = [
@@ -111,9 +111,21 @@ export const loader = async ({ request }) => {
   const supabase = getSupabaseAdmin();
 
   const allCollections = await fetchAllCollections(admin);
+  const schools = await getSchools(supabase, shop, { includeInactive: true });
+
+  // Only active schools get a sort order row
+  const activeCollectionIds = new Set(
+    schools.filter((s) => s.is_active).map((s) => s.collection_id)
+  );
 
   const collections = allCollections.filter((c) =>
-    ALLOWED_COLLECTION_IDS.has(String(c.id))
+    activeCollectionIds.has(String(c.id))
+  );
+
+  // Collections that can still be registered as a school
+  const registeredIds = new Set(schools.map((s) => s.collection_id));
+  const unregisteredCollections = allCollections.filter(
+    (c) => !registeredIds.has(String(c.id))
   );
 
   const { data: rows, error: fetchErr } = await supabase
@@ -132,7 +144,9 @@ export const loader = async ({ request }) => {
       };
     }
   }
-  return { shop, collections, settingsMap };
+  const shopSettings = await getShopSettings(supabase, shop);
+
+  return { shop, collections, settingsMap, schools, unregisteredCollections, shopSettings };
 };
 
 /* ─────────────────────────────────────────────
@@ -173,6 +187,9 @@ export const action = async ({ request }) => {
 
       if (upsertErr) throw new Error(upsertErr.message);
 
+      // sort order and the school dropdown are served by the storefront proxy
+      await invalidateProxyCache(shop);
+
       return {
         ok: true,
         intent,
@@ -185,9 +202,181 @@ export const action = async ({ request }) => {
     }
   }
 
+  if (intent === "saveSchool") {
+    try {
+      const school = await upsertSchool(supabase, shop, {
+        collection_id: cleanText(form.get("collectionId")),
+        display_name: cleanText(form.get("displayName")),
+        shopify_tag: cleanText(form.get("shopifyTag")),
+        master_school_name: cleanText(form.get("masterSchoolName")),
+        is_active: String(form.get("isActive") ?? "true") !== "false",
+      });
+
+      return { ok: true, intent, school };
+    } catch (e) {
+      return { ok: false, intent, error: safeErrToString(e) };
+    }
+  }
+
+  if (intent === "retireSchool" || intent === "restoreSchool") {
+    try {
+      const school = await setSchoolActive(
+        supabase,
+        shop,
+        cleanText(form.get("collectionId")),
+        intent === "restoreSchool"
+      );
+
+      return { ok: true, intent, school };
+    } catch (e) {
+      return { ok: false, intent, error: safeErrToString(e) };
+    }
+  }
+
+  if (intent === "setMembershipSync") {
+    try {
+      const school = await setSchoolMembershipSync(
+        supabase,
+        shop,
+        cleanText(form.get("collectionId")),
+        String(form.get("enabled")) === "true"
+      );
+
+      return { ok: true, intent, school };
+    } catch (e) {
+      return { ok: false, intent, error: safeErrToString(e) };
+    }
+  }
+
+  if (intent === "saveShopSettings") {
+    try {
+      const shopSettings = await updateShopSettings(supabase, shop, {
+        grade_metafield_sync: String(form.get("gradeMetafieldSync")) === "true",
+      });
+
+      return { ok: true, intent, shopSettings };
+    } catch (e) {
+      return { ok: false, intent, error: safeErrToString(e) };
+    }
+  }
+
   return { ok: false, error: "Unknown intent" };
 };
 
+/* ─────────────────────────────────────────────
+   School Registry Row Component
+───────────────────────────────────────────── */
+function SchoolRow({ school, onSave, onToggleActive, onToggleMembershipSync, isBusy }) {
+  const [displayName, setDisplayName] = useState(school.display_name || "");
+  const [shopifyTag, setShopifyTag] = useState(school.shopify_tag || "");
+  const [masterSchoolName, setMasterSchoolName] = useState(
+    school.master_school_name || ""
+  );
+
+  useEffect(() => {
+    setDisplayName(school.display_name || "");
+    setShopifyTag(school.shopify_tag || "");
+    setMasterSchoolName(school.master_school_name || "");
+  }, [school.display_name, school.shopify_tag, school.master_school_name]);
+
+  const changed =
+    displayName !== (school.display_name || "") ||
+    shopifyTag !== (school.shopify_tag || "") ||
+    masterSchoolName !== (school.master_school_name || "");
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: 16,
+        padding: "14px 16px",
+        borderBottom: "1px solid #e1e3e5",
+        background: school.is_active ? "#ffffff" : "#f9fafb",
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <TextField
+          label="School name"
+          labelHidden
+          value={displayName}
+          onChange={setDisplayName}
+          autoComplete="off"
+          disabled={isBusy}
+        />
+        <div style={{ marginTop: 2 }}>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {school.collection_id}
+          </Text>
+        </div>
+      </div>
+
+      <div style={{ width: 200, flexShrink: 0 }}>
+        <TextField
+          label="Shopify tag"
+          labelHidden
+          placeholder="e.g. FSHA SHOP"
+          value={shopifyTag}
+          onChange={setShopifyTag}
+          autoComplete="off"
+          disabled={isBusy}
+        />
+      </div>
+
+      <div style={{ width: 200, flexShrink: 0 }}>
+        <TextField
+          label="Master sheet school"
+          labelHidden
+          placeholder="School column value"
+          value={masterSchoolName}
+          onChange={setMasterSchoolName}
+          autoComplete="off"
+          disabled={isBusy}
+        />
+      </div>
+
+      <div style={{ width: 160, flexShrink: 0 }}>
+        <Checkbox
+          label="Sync collection"
+          helpText="Add/remove products in Shopify"
+          checked={!!school.sync_collection_membership}
+          onChange={(checked) => onToggleMembershipSync(school, checked)}
+          disabled={isBusy || !school.is_active}
+        />
+      </div>
+
+      <div style={{ width: 200, flexShrink: 0 }}>
+        <InlineStack gap="200" align="end" blockAlign="center">
+          {!school.is_active ? <Badge>Retired</Badge> : null}
+          <Button
+            size="slim"
+            disabled={!changed || isBusy}
+            onClick={() =>
+              onSave({
+                collectionId: school.collection_id,
+                displayName,
+                shopifyTag,
+                masterSchoolName,
+                isActive: school.is_active,
+              })
+            }
+          >
+            Save
+          </Button>
+          <Button
+            size="slim"
+            tone={school.is_active ? "critical" : undefined}
+            disabled={isBusy}
+            onClick={() => onToggleActive(school)}
+          >
+            {school.is_active ? "Retire" : "Restore"}
+          </Button>
+        </InlineStack>
+      </div>
+    </div>
+  );
+}
+
 /* ─────────────────────────────────────────────
    Collection Row Component
 ───────────────────────────────────────────── */
@@ -306,8 +495,20 @@ function CollectionRow({
    Main Page
 ───────────────────────────────────────────── */
 export default function SettingsPage() {
-  const { collections, settingsMap } = useLoaderData();
+  const { collections, settingsMap, schools, unregisteredCollections, shopSettings } = useLoaderData();
   const fetcher = useFetcher();
+  const schoolFetcher = useFetcher();
+  const shopSettingsFetcher = useFetcher();
+
+  const gradeMetafieldSync =
+    shopSettingsFetcher.formData
+      ? String(shopSettingsFetcher.formData.get("gradeMetafieldSync")) === "true"
+      : !!shopSettings?.grade_metafield_sync;
+
+  const [newSchoolCollectionId, setNewSchoolCollectionId] = useState("");
+  const [newSchoolName, setNewSchoolName] = useState("");
+  const [newSchoolTag, setNewSchoolTag] = useState("");
+  const [newSchoolMasterName, setNewSchoolMasterName] = useState("");
 
   const [localSettings, setLocalSettings] = useState({ ...settingsMap });
   const [savingCollectionId, setSavingCollectionId] = useState(null);
@@ -330,6 +531,99 @@ export default function SettingsPage() {
   const saveError =
     fetcher.data?.ok === false ? fetcher.data.error : null;
 
+  const schoolError =
+    schoolFetcher.state === "idle" && schoolFetcher.data?.ok === false
+      ? schoolFetcher.data.error
+      : null;
+
+  const isSchoolBusy = schoolFetcher.state !== "idle";
+
+  const unregisteredOptions = useMemo(
+    () => [
+      { label: "Select a collection", value: "" },
+      ...(unregisteredCollections || []).map((c) => ({
+        label: c.title,
+        value: c.id,
+      })),
+    ],
+    [unregisteredCollections]
+  );
+
+  /* Clear the add-school form once the school is saved */
+  useEffect(() => {
+    if (
+      schoolFetcher.state === "idle" &&
+      schoolFetcher.data?.ok === true &&
+      schoolFetcher.data?.intent === "saveSchool"
+    ) {
+      setNewSchoolCollectionId((prev) =>
+        prev === schoolFetcher.data.school?.collection_id ? "" : prev
+      );
+      setNewSchoolName("");
+      setNewSchoolTag("");
+      setNewSchoolMasterName("");
+    }
+  }, [schoolFetcher.state, schoolFetcher.data]);
+
+  const handleNewSchoolCollection = (collectionId) => {
+    setNewSchoolCollectionId(collectionId);
+    const found = (unregisteredCollections || []).find((c) => c.id === collectionId);
+    if (found && !newSchoolName.trim()) setNewSchoolName(found.title);
+  };
+
+  const saveSchool = ({ collectionId, displayName, shopifyTag, masterSchoolName, isActive }) => {
+    schoolFetcher.submit(
+      {
+        intent: "saveSchool",
+        collectionId,
+        displayName,
+        shopifyTag,
+        masterSchoolName,
+        isActive: isActive === false ? "false" : "true",
+      },
+      { method: "POST" }
+    );
+  };
+
+  const toggleMembershipSync = (school, enabled) => {
+    if (
+      enabled &&
+      !window.confirm(
+        `Let the app add and remove products in the ${school.display_name} collection in Shopify to match its mappings?`
+      )
+    ) {
+      return;
+    }
+
+    schoolFetcher.submit(
+      {
+        intent: "setMembershipSync",
+        collectionId: school.collection_id,
+        enabled: String(enabled),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const toggleSchoolActive = (school) => {
+    if (
+      school.is_active &&
+      !window.confirm(
+        `Retire ${school.display_name}? It will disappear from the school lists but its mappings are kept.`
+      )
+    ) {
+      return;
+    }
+
+    schoolFetcher.submit(
+      {
+        intent: school.is_active ? "retireSchool" : "restoreSchool",
+        collectionId: school.collection_id,
+      },
+      { method: "POST" }
+    );
+  };
+
   /* Detect save completion */
   useEffect(() => {
     if (
@@ -428,6 +722,36 @@ export default function SettingsPage() {
 
           <div style={{ marginTop: 16 }} />
 
+          {/* Shop-wide options */}
+          <Card>
+            <div style={{ padding: "16px 20px" }}>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Grade metafield
+                </Text>
+                <Checkbox
+                  label="Write mapped grades to the product's custom.grade metafield"
+                  helpText="On save and during the grade sync, all school grades of a product are written as a list to custom.grade. Values edited in Shopify admin are reported on the Products page instead of being overwritten."
+                  checked={gradeMetafieldSync}
+                  disabled={shopSettingsFetcher.state !== "idle"}
+                  onChange={(checked) =>
+                    shopSettingsFetcher.submit(
+                      { intent: "saveShopSettings", gradeMetafieldSync: String(checked) },
+                      { method: "POST" }
+                    )
+                  }
+                />
+                {shopSettingsFetcher.data?.ok === false && (
+                  <Text as="p" tone="critical">
+                    {shopSettingsFetcher.data.error}
+                  </Text>
+                )}
+              </BlockStack>
+            </div>
+          </Card>
+
+          <div style={{ marginTop: 16 }} />
+
           {/* Search + list card */}
           <Card padding="0">
 
@@ -533,6 +857,121 @@ export default function SettingsPage() {
             </Text>
           </div>
 
+          <div style={{ marginTop: 24 }} />
+
+          {schoolError && (
+            <div style={{ marginBottom: 16 }}>
+              <Banner tone="critical" title="School error">
+                <p>{schoolError}</p>
+              </Banner>
+            </div>
+          )}
+
+          {/* School registry card */}
+          <Card padding="0">
+            <div
+              style={{
+                padding: "16px 20px",
+                borderBottom: "1px solid #e1e3e5",
+              }}
+            >
+              <BlockStack gap="050">
+                <Text as="h2" variant="headingMd">
+                  Schools
+                </Text>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Each school links a collection to its Shopify tag and the
+                  &quot;School&quot; value used in the master sheet.
+                </Text>
+              </BlockStack>
+            </div>
+
+            {(schools || []).length === 0 ? (
+              <div style={{ padding: "24px", textAlign: "center" }}>
+                <Text as="p" tone="subdued">
+                  No schools registered yet.
+                </Text>
+              </div>
+            ) : (
+              (schools || []).map((school) => (
+                <SchoolRow
+                  key={school.collection_id}
+                  school={school}
+                  onSave={saveSchool}
+                  onToggleActive={toggleSchoolActive}
+                  onToggleMembershipSync={toggleMembershipSync}
+                  isBusy={isSchoolBusy}
+                />
+              ))
+            )}
+
+            {/* Add school */}
+            <div
+              style={{
+                display: "flex",
+                alignItems: "flex-end",
+                gap: 16,
+                padding: "14px 16px",
+                background: "#f9fafb",
+                borderRadius: "0 0 12px 12px",
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <Select
+                  label="Collection"
+                  options={unregisteredOptions}
+                  value={newSchoolCollectionId}
+                  onChange={handleNewSchoolCollection}
+                  disabled={isSchoolBusy}
+                />
+              </div>
+              <div style={{ width: 200, flexShrink: 0 }}>
+                <TextField
+                  label="School name"
+                  value={newSchoolName}
+                  onChange={setNewSchoolName}
+                  autoComplete="off"
+                  disabled={isSchoolBusy}
+                />
+              </div>
+              <div style={{ width: 200, flexShrink: 0 }}>
+                <TextField
+                  label="Shopify tag"
+                  value={newSchoolTag}
+                  onChange={setNewSchoolTag}
+                  autoComplete="off"
+                  disabled={isSchoolBusy}
+                />
+              </div>
+              <div style={{ width: 200, flexShrink: 0 }}>
+                <TextField
+                  label="Master sheet school"
+                  value={newSchoolMasterName}
+                  onChange={setNewSchoolMasterName}
+                  placeholder="Defaults to school name"
+                  autoComplete="off"
+                  disabled={isSchoolBusy}
+                />
+              </div>
+              <Button
+                variant="primary"
+                loading={isSchoolBusy && schoolFetcher.formData?.get("intent") === "saveSchool"}
+                disabled={!newSchoolCollectionId || !newSchoolName.trim() || isSchoolBusy}
+                onClick={() =>
+                  saveSchool({
+                    collectionId: newSchoolCollectionId,
+                    displayName: newSchoolName,
+                    shopifyTag: newSchoolTag,
+                    masterSchoolName: newSchoolMasterName,
+                    isActive: true,
+                  })
+                }
+              >
+                Add school
+              </Button>
+            </div>
+          </Card>
+
         </Layout.Section>
       </Layout>
     </Page>
@@ -0,0 +1,202 @@
+// app/routes/home.sync-jobs.$jobId.jsx
+
+import { useEffect, useMemo, useState } from "react";
+import { useLoaderData, useNavigate, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { DRY_RUN_JOB_TYPE, getSyncJobItems } from "../utils/syncGrades.server";
+import { downloadCsv, toCsv } from "../utils/csv";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Select,
+    Button,
+    Badge,
+} from "@shopify/polaris";
+
+const MAX_ITEMS = 5000;
+
+const OUTCOME_OPTIONS = [
+    { label: "All outcomes", value: "" },
+    { label: "Inserted", value: "insert" },
+    { label: "Updated", value: "update" },
+    { label: "Missing in Shopify", value: "missing" },
+    { label: "No collections", value: "no_collections" },
+    { label: "School from sibling", value: "sibling" },
+    { label: "Error", value: "error" },
+];
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function outcomeLabel(action) {
+    return OUTCOME_OPTIONS.find((o) => o.value === action)?.label || action;
+}
+
+function matchesOutcome(item, outcome) {
+    if (!outcome) return true;
+    if (outcome === "sibling") return !!cleanText(item?.parent_handle);
+    return item?.action === outcome;
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(", ");
+    return cleanText(value);
+}
+
+export const loader = async ({ request, params }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const jobId = Number.parseInt(String(params.jobId || ""), 10);
+    if (!Number.isFinite(jobId)) {
+        throw new Response("Sync job not found", { status: 404 });
+    }
+
+    const { data: job, error } = await supabase
+        .from("sync_jobs")
+        .select("*")
+        .eq("shop", shop)
+        .eq("id", jobId)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!job) throw new Response("Sync job not found", { status: 404 });
+
+    // one extra row tells whether the job logged more than is shown
+    const items = await getSyncJobItems(supabase, shop, job.id, { limit: MAX_ITEMS + 1 });
+
+    return {
+        job,
+        isDryRun: job.job_type === DRY_RUN_JOB_TYPE,
+        items: items.slice(0, MAX_ITEMS),
+        truncated: items.length > MAX_ITEMS,
+    };
+};
+
+export default function SyncJobItemsPage() {
+    const { job, isDryRun, items, truncated } = useLoaderData();
+    const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    const [outcome, setOutcome] = useState(searchParams.get("outcome") || "");
+    useEffect(() => {
+        setOutcome(searchParams.get("outcome") || "");
+    }, [searchParams]);
+
+    const countByOutcome = useMemo(() => {
+        const counts = {};
+        for (const option of OUTCOME_OPTIONS) {
+            counts[option.value] = items.filter((item) => matchesOutcome(item, option.value)).length;
+        }
+        return counts;
+    }, [items]);
+
+    const filtered = useMemo(
+        () => items.filter((item) => matchesOutcome(item, outcome)),
+        [items, outcome]
+    );
+
+    const outcomeOptions = OUTCOME_OPTIONS.map((o) => ({
+        label: `${o.label} (${countByOutcome[o.value] || 0})`,
+        value: o.value,
+    }));
+
+    const onOutcomeChange = (value) => {
+        setOutcome(value);
+        const next = new URLSearchParams(searchParams);
+        if (value) next.set("outcome", value);
+        else next.delete("outcome");
+        setSearchParams(next, { replace: true });
+    };
+
+    const exportCsv = () => {
+        const csv = toCsv(
+            ["Handle", "Outcome", "Message", "Grade", "Previous grade", "Size", "School tag", "Sibling handle"],
+            filtered.map((item) => [
+                item.handle,
+                outcomeLabel(item.action),
+                item.message,
+                item.new_grade,
+                item.old_grade,
+                formatValue(item.new_size),
+                item.new_school_tag,
+                item.parent_handle,
+            ])
+        );
+
+        downloadCsv(`sync-job-${job.id}${outcome ? `-${outcome}` : ""}.csv`, csv);
+    };
+
+    const rows = filtered.map((item) => [
+        item.handle,
+        outcomeLabel(item.action),
+        formatValue(item.message) || "—",
+        formatValue(item.new_grade) || "—",
+        formatValue(item.new_school_tag) || "—",
+    ]);
+
+    return (
+        <Page
+            title={`${isDryRun ? "Dry run" : "Sync"} #${job.id}`}
+            backAction={{ content: "Products", onAction: () => navigate("/home/products") }}
+            titleMetadata={<Badge>{job.status}</Badge>}
+        >
+            <Layout>
+                <Layout.Section>
+                    {truncated && (
+                        <Banner tone="warning" title="Only the first handles are shown">
+                            <p>This job logged more than {MAX_ITEMS} handles.</p>
+                        </Banner>
+                    )}
+
+                    <Card>
+                        <div style={{ padding: 16 }}>
+                            <BlockStack gap="300">
+                                <InlineStack align="space-between" blockAlign="end" gap="200">
+                                    <div style={{ minWidth: 260 }}>
+                                        <Select
+                                            label="Outcome"
+                                            options={outcomeOptions}
+                                            value={outcome}
+                                            onChange={onOutcomeChange}
+                                        />
+                                    </div>
+
+                                    <Button disabled={!filtered.length} onClick={exportCsv}>
+                                        Export CSV
+                                    </Button>
+                                </InlineStack>
+
+                                {rows.length ? (
+                                    <DataTable
+                                        columnContentTypes={["text", "text", "text", "text", "text"]}
+                                        headings={["Handle", "Outcome", "Message", "Grade", "School tag"]}
+                                        rows={rows}
+                                    />
+                                ) : (
+                                    <Text as="p" tone="subdued">
+                                        No handles with this outcome.
+                                    </Text>
+                                )}
+                            </BlockStack>
+                        </div>
+                    </Card>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
@@ -0,0 +1,301 @@
+// app/routes/home.variants.jsx
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { getSchools } from "../utils/schools.server";
+import {
+    fetchProductVariants,
+    getVariantRestrictions,
+    listVariantRestrictions,
+    saveVariantRestriction,
+} from "../utils/variantRestrictions.server";
+import { invalidateProxyCache } from "../utils/proxyCache.server";
+
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Select,
+    TextField,
+    Button,
+    Checkbox,
+} from "@shopify/polaris";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function safeErrToString(e) {
+    if (!e) return "Unknown error";
+    if (typeof e === "string") return e;
+    if (e?.message && typeof e.message === "string") return e.message;
+    try {
+        return JSON.stringify(e);
+    } catch {
+        return String(e);
+    }
+}
+
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+
+    const schools = await getSchools(supabase, shop);
+    const restrictions = await listVariantRestrictions(supabase, shop);
+
+    return { schools, restrictions };
+};
+
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const shop = session?.shop || "";
+    const supabase = getSupabaseAdmin();
+    const form = await request.formData();
+    const intent = cleanText(form.get("intent"));
+
+    try {
+        if (intent === "loadProduct") {
+            const product = await fetchProductVariants(admin, form.get("handle"));
+            if (!product) return { ok: false, intent, error: "No Shopify product with that handle" };
+
+            const restrictions = await getVariantRestrictions(supabase, shop, cleanText(form.get("collectionId")), {
+                productIds: [product.id],
+            });
+
+            return { ok: true, intent, product, restrictions };
+        }
+
+        if (intent === "saveRestriction") {
+            const saved = await saveVariantRestriction(supabase, shop, {
+                productId: cleanText(form.get("productId")),
+                collectionId: cleanText(form.get("collectionId")),
+                grade: cleanText(form.get("grade")),
+                variantIds: JSON.parse(String(form.get("variantIds") || "[]")),
+            });
+            await invalidateProxyCache(shop);
+
+            return { ok: true, intent, saved };
+        }
+
+        return { ok: false, intent, error: "Unknown intent" };
+    } catch (e) {
+        return { ok: false, intent, error: safeErrToString(e) };
+    }
+};
+
+function RestrictionEditor({ schools }) {
+    const loadFetcher = useFetcher();
+    const saveFetcher = useFetcher();
+
+    const [collectionId, setCollectionId] = useState(schools[0]?.collection_id || "");
+    const [handle, setHandle] = useState("");
+    const [grade, setGrade] = useState("");
+    const [selected, setSelected] = useState([]);
+
+    const product = loadFetcher.data?.ok ? loadFetcher.data.product : null;
+
+    // Start from the saved restriction for this school / grade, or from every variant
+    useEffect(() => {
+        if (!loadFetcher.data?.ok) return;
+
+        const { product: loaded, restrictions } = loadFetcher.data;
+        const saved = restrictions.find((r) => cleanText(r.grade).toLowerCase() === cleanText(grade).toLowerCase());
+        setSelected(saved ? saved.variant_ids : loaded.variants.map((v) => v.id));
+    }, [loadFetcher.data, grade]);
+
+    const load = () => loadFetcher.submit({ intent: "loadProduct", collectionId, handle }, { method: "POST" });
+
+    const save = (variantIds) =>
+        saveFetcher.submit(
+            {
+                intent: "saveRestriction",
+                productId: product.id,
+                collectionId,
+                grade,
+                variantIds: JSON.stringify(variantIds),
+            },
+            { method: "POST" }
+        );
+
+    const saved = saveFetcher.state === "idle" && saveFetcher.data?.ok;
+
+    // Reload so switching grade shows what was just saved
+    useEffect(() => {
+        if (saved && product) load();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [saved, saveFetcher.data]);
+
+    const allSelected = product && selected.length === product.variants.length;
+
+    return (
+        <Card>
+            <div style={{ padding: 16 }}>
+                <BlockStack gap="300">
+                    <BlockStack gap="100">
+                        <Text as="h2" variant="headingMd">
+                            Allowed variants
+                        </Text>
+                        <Text as="p" tone="subdued" variant="bodySm">
+                            Limit which variants of a mapped product a school sells, for every grade or for one grade.
+                            A grade&apos;s own list replaces the school-wide one. The storefront proxy returns the allowed
+                            variant ids so the theme can hide the other options.
+                        </Text>
+                    </BlockStack>
+
+                    {[loadFetcher.data, saveFetcher.data].map((d, i) =>
+                        d?.ok === false ? (
+                            <Banner key={i} tone="critical">
+                                <p>{d.error}</p>
+                            </Banner>
+                        ) : null
+                    )}
+                    {saved && (
+                        <Banner tone="success">
+                            <p>{saveFetcher.data.saved ? "Restriction saved." : "Restriction cleared; every variant is allowed."}</p>
+                        </Banner>
+                    )}
+
+                    <InlineStack gap="300" blockAlign="end">
+                        <div style={{ minWidth: 220 }}>
+                            <Select
+                                label="School"
+                                options={schools.map((s) => ({ label: s.display_name, value: s.collection_id }))}
+                                value={collectionId}
+                                onChange={setCollectionId}
+                            />
+                        </div>
+                        <div style={{ minWidth: 260 }}>
+                            <TextField label="Product handle" value={handle} onChange={setHandle} autoComplete="off" />
+                        </div>
+                        <Button
+                            loading={loadFetcher.state !== "idle"}
+                            disabled={!collectionId || !cleanText(handle)}
+                            onClick={load}
+                        >
+                            Load variants
+                        </Button>
+                    </InlineStack>
+
+                    {product ? (
+                        <BlockStack gap="300">
+                            <Text as="h3" variant="headingSm">
+                                {product.title}
+                            </Text>
+
+                            <div style={{ maxWidth: 260 }}>
+                                <TextField
+                                    label="Grade"
+                                    helpText="Leave blank for every grade"
+                                    value={grade}
+                                    onChange={setGrade}
+                                    autoComplete="off"
+                                />
+                            </div>
+
+                            <Checkbox
+                                label="All variants"
+                                checked={allSelected}
+                                onChange={(checked) => setSelected(checked ? product.variants.map((v) => v.id) : [])}
+                            />
+
+                            <BlockStack gap="100">
+                                {product.variants.map((v) => (
+                                    <Checkbox
+                                        key={v.id}
+                                        label={v.options.length ? v.options.join(" / ") : v.title}
+                                        helpText={v.sku || undefined}
+                                        checked={selected.includes(v.id)}
+                                        onChange={(checked) =>
+                                            setSelected((prev) =>
+                                                checked ? [...prev, v.id] : prev.filter((id) => id !== v.id)
+                                            )
+                                        }
+                                    />
+                                ))}
+                            </BlockStack>
+
+                            <InlineStack gap="200">
+                                <Button
+                                    variant="primary"
+                                    loading={saveFetcher.state !== "idle"}
+                                    disabled={!selected.length || allSelected}
+                                    onClick={() => save(selected)}
+                                >
+                                    Save restriction
+                                </Button>
+                                <Button disabled={saveFetcher.state !== "idle"} onClick={() => save([])}>
+                                    Allow every variant
+                                </Button>
+                            </InlineStack>
+                        </BlockStack>
+                    ) : null}
+                </BlockStack>
+            </div>
+        </Card>
+    );
+}
+
+export default function VariantsPage() {
+    const { schools, restrictions } = useLoaderData();
+    const schoolNameById = Object.fromEntries(schools.map((s) => [s.collection_id, s.display_name]));
+
+    return (
+        <Page title="Variants" subtitle="Variants each school allows">
+            <Layout>
+                <Layout.Section>
+                    <BlockStack gap="400">
+                        {schools.length === 0 ? (
+                            <Card>
+                                <div style={{ padding: 16 }}>
+                                    <Text as="p" tone="subdued">
+                                        Register schools on the Settings page first.
+                                    </Text>
+                                </div>
+                            </Card>
+                        ) : (
+                            <RestrictionEditor schools={schools} />
+                        )}
+
+                        <Card>
+                            <div style={{ padding: 16 }}>
+                                <BlockStack gap="200">
+                                    <Text as="h2" variant="headingMd">
+                                        Current restrictions
+                                    </Text>
+                                    {restrictions.length ? (
+                                        <DataTable
+                                            columnContentTypes={["text", "text", "text", "numeric"]}
+                                            headings={["Product", "School", "Grade", "Allowed variants"]}
+                                            rows={restrictions.map((r) => [
+                                                r.product_title || r.product_handle || r.shopify_product_id,
+                                                schoolNameById[r.collection_id] || r.collection_id,
+                                                r.grade || "All grades",
+                                                (r.variant_ids || []).length,
+                                            ])}
+                                        />
+                                    ) : (
+                                        <Text as="p" tone="subdued">
+                                            No restrictions; every mapped product allows all of its variants.
+                                        </Text>
+                                    )}
+                                </BlockStack>
+                            </div>
+                        </Card>
+                    </BlockStack>
+                </Layout.Section>
+            </Layout>
+        </Page>
+    );
+}
+
+export const headers = boundary.headers;
+export const ErrorBoundary = boundary.error;
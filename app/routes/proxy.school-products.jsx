@@ -1,8 +1,19 @@
 // app/routes/proxy.school-products.jsx
 // App Proxy endpoint: /apps/school-products
 
+import { Buffer } from "node:buffer";
 import { authenticate } from "../shopify.server";
 import { getSupabaseAdmin } from "../supabase.server";
+import { getGradeCatalog, hasAllGrades } from "../utils/schoolGrades.server";
+import { withProxyCache } from "../utils/proxyCache.server";
+import { graphqlWithBackoff } from "../utils/shopifyGraphql.server";
+import { updateCollectionInMappings } from "../utils/productMappings.server";
+import { fetchProductCards } from "../utils/productCards.server";
+import {
+    getVariantRestrictions,
+    resolveAllowedVariants,
+    toVariantNumericId,
+} from "../utils/variantRestrictions.server";
 
 const EXTERNAL_TABLE = "product_grade_collection";
 const SETTINGS_TABLE = "settings";
@@ -10,23 +21,48 @@ const MANUAL_SORT_TABLE = "product_sort_order";
 
 const DEFAULT_SORT = "MANUAL";
 
-/* ---------------- Helpers ---------------- */
+const ALLOWED_SORTS = new Set([
+    "TITLE_ASC",
+    "TITLE_DESC",
+    "PRICE_ASC",
+    "PRICE_DESC",
+    "CREATED_ASC",
+    "CREATED_DESC",
+    "BEST_SELLING",
+    "MANUAL",
+]);
+
+// Sorts applied locally to product data read with nodes(): field and direction
+const LOCAL_SORTS = {
+    TITLE_ASC: { field: "title", direction: 1 },
+    TITLE_DESC: { field: "title", direction: -1 },
+    PRICE_ASC: { field: "price", direction: 1 },
+    PRICE_DESC: { field: "price", direction: -1 },
+    CREATED_ASC: { field: "createdAt", direction: 1 },
+    CREATED_DESC: { field: "createdAt", direction: -1 },
+};
+
+const SORT_NODES_PER_QUERY = 100;
+
+// Best sellers are only ranked inside the Shopify collection: first 1000 products
+const BEST_SELLING_PAGES = 4;
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 250;
+// include=products pages are always paginated, and smaller, since each card is fetched from Shopify
+const MAX_CARD_PAGE_LIMIT = 100;
 
-function splitGrades(value) {
-    return String(value || "")
-        .split(",")
-        .map((x) => x.trim())
-        .filter(Boolean);
-}
+/* ---------------- Helpers ---------------- */
 
 function clean(v) {
     return String(v ?? "").trim();
 }
 
-async function getAllowedSchools(supabase) {
+async function getAllowedSchools(supabase, shop) {
     const { data, error } = await supabase
         .from(SETTINGS_TABLE)
         .select("collection_id, collection_title, collection_handle")
+        .eq("shop", shop)
         .eq("show_in_school_dropdown", true)
         .not("collection_handle", "is", null)
         .order("collection_title", { ascending: true });
@@ -38,14 +74,15 @@ async function getAllowedSchools(supabase) {
     return (data || []).filter((row) => clean(row.collection_handle));
 }
 
-async function isAllowedCollectionHandle(supabase, handle) {
-    const safeHandle = clean(handle);
-    if (!safeHandle) return false;
+async function getAllowedCollection(supabase, shop, column, value) {
+    const safeValue = clean(value);
+    if (!safeValue) return null;
 
     const { data, error } = await supabase
         .from(SETTINGS_TABLE)
-        .select("collection_handle")
-        .eq("collection_handle", safeHandle)
+        .select("collection_id, collection_handle")
+        .eq("shop", shop)
+        .eq(column, safeValue)
         .eq("show_in_school_dropdown", true)
         .maybeSingle();
 
@@ -53,7 +90,7 @@ async function isAllowedCollectionHandle(supabase, handle) {
         throw new Error(error.message || "Failed to validate collection handle");
     }
 
-    return !!data;
+    return data || null;
 }
 
 /**
@@ -78,15 +115,93 @@ async function fetchCollectionIdByHandle(admin, handle) {
     return col?.id ? String(col.id) : "";
 }
 
+// Last handle refresh per shop, so a burst of stale-handle requests runs it once
+const handleRefreshAt = new Map();
+const HANDLE_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Re-read the title and handle of every school collection in settings and
+ * store the ones renamed in Shopify (mappings and settings rows).
+ */
+async function refreshCollectionHandles(admin, supabase, shop) {
+    const { data, error } = await supabase
+        .from(SETTINGS_TABLE)
+        .select("collection_id, collection_title, collection_handle")
+        .eq("shop", shop);
+
+    if (error) throw new Error(error.message);
+
+    const rows = (data || []).filter((r) => clean(r.collection_id));
+
+    for (let i = 0; i < rows.length; i += 100) {
+        const chunk = rows.slice(i, i + 100);
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+          query ProxyCollectionHandles($ids: [ID!]!) {
+            nodes(ids: $ids) { ... on Collection { id title handle } }
+          }
+        `,
+            { ids: chunk.map((r) => r.collection_id) }
+        );
+
+        const nodes = new Map((json?.data?.nodes || []).filter((n) => n?.id).map((n) => [n.id, n]));
+
+        for (const row of chunk) {
+            const node = nodes.get(row.collection_id);
+            if (!node || (node.handle === row.collection_handle && node.title === row.collection_title)) continue;
+
+            await updateCollectionInMappings(supabase, shop, {
+                collectionId: node.id,
+                title: node.title,
+                handle: node.handle,
+            });
+        }
+    }
+}
+
+function scheduleHandleRefresh(admin, supabase, shop) {
+    const last = handleRefreshAt.get(shop) || 0;
+    if (Date.now() - last < HANDLE_REFRESH_INTERVAL_MS) return;
+
+    handleRefreshAt.set(shop, Date.now());
+
+    // not awaited: the storefront response does not wait for it
+    refreshCollectionHandles(admin, supabase, shop).catch((e) => {
+        console.error(`Collection handle refresh failed for ${shop}:`, e);
+    });
+}
+
+/**
+ * Collection id for a storefront handle, from the settings registry. Only a
+ * handle settings does not know (a collection renamed since it was saved) goes
+ * to Shopify, and then schedules a refresh of the stored handles.
+ */
+async function resolveAllowedCollectionId(admin, supabase, shop, handle) {
+    const known = await getAllowedCollection(supabase, shop, "collection_handle", handle);
+    if (known) return clean(known.collection_id);
+
+    const shopifyId = await fetchCollectionIdByHandle(admin, clean(handle));
+    if (!shopifyId) return "";
+
+    const renamed = await getAllowedCollection(supabase, shop, "collection_id", shopifyId);
+    if (!renamed) return "";
+
+    scheduleHandleRefresh(admin, supabase, shop);
+
+    return shopifyId;
+}
+
 /**
  * Read sort order from settings table by collection_id
  */
-async function getCollectionSortOrder(supabase, collectionId) {
+async function getCollectionSortOrder(supabase, shop, collectionId) {
     if (!collectionId) return DEFAULT_SORT;
 
     const { data, error } = await supabase
         .from(SETTINGS_TABLE)
         .select("default_sort_order")
+        .eq("shop", shop)
         .eq("collection_id", collectionId)
         .maybeSingle();
 
@@ -94,24 +209,163 @@ async function getCollectionSortOrder(supabase, collectionId) {
 
     const v = clean(data.default_sort_order).toUpperCase();
 
-    const ALLOWED_SORTS = new Set([
-        "TITLE_ASC",
-        "TITLE_DESC",
-        "PRICE_ASC",
-        "PRICE_DESC",
-        "CREATED_ASC",
-        "CREATED_DESC",
-        "BEST_SELLING",
-        "MANUAL",
-    ]);
-
     return ALLOWED_SORTS.has(v) ? v : DEFAULT_SORT;
 }
 
+/**
+ * Title, minimum price and creation date of products, keyed by GID.
+ */
+async function fetchProductSortData(admin, productIds) {
+    const ids = [...new Set(productIds.filter(Boolean))];
+    const byId = new Map();
+
+    for (let i = 0; i < ids.length; i += SORT_NODES_PER_QUERY) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+          query ProxyProductSortData($ids: [ID!]!) {
+            nodes(ids: $ids) {
+              ... on Product {
+                id
+                title
+                createdAt
+                priceRangeV2 { minVariantPrice { amount } }
+              }
+            }
+          }
+        `,
+            { ids: ids.slice(i, i + SORT_NODES_PER_QUERY) }
+        );
+
+        for (const node of json?.data?.nodes || []) {
+            if (!node?.id) continue;
+
+            const price = Number.parseFloat(node.priceRangeV2?.minVariantPrice?.amount);
+            byId.set(node.id, {
+                title: node.title || "",
+                price: Number.isFinite(price) ? price : null,
+                createdAt: node.createdAt ? Date.parse(node.createdAt) : null,
+            });
+        }
+    }
+
+    return byId;
+}
+
+/**
+ * Best-selling rank of a collection's products (GID -> position), read from
+ * the collection itself since the Admin API only ranks sales there.
+ */
+async function fetchBestSellingRanks(admin, collectionId) {
+    const rank = new Map();
+    let after = null;
+
+    for (let pages = 0; pages < BEST_SELLING_PAGES; pages++) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+          query ProxyBestSellingProducts($id: ID!, $after: String) {
+            collection(id: $id) {
+              products(first: 250, after: $after, sortKey: BEST_SELLING) {
+                nodes { id }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        `,
+            { id: collectionId, after }
+        );
+
+        const conn = json?.data?.collection?.products;
+        if (!conn) break;
+
+        for (const node of conn.nodes || []) rank.set(node.id, rank.size);
+
+        if (!conn.pageInfo?.hasNextPage) break;
+        after = conn.pageInfo.endCursor;
+    }
+
+    return rank;
+}
+
+function compareTitles(a, b) {
+    return a.localeCompare(b, undefined, { sensitivity: "base", numeric: true });
+}
+
+/**
+ * Order handles by a non-manual sort. Title, price and date sorts use the
+ * products' own data, so mapped products outside the Shopify collection sort
+ * like the rest; products missing that value (or deleted in Shopify) go last.
+ * BEST_SELLING follows the collection's sales rank, and products it does not
+ * rank follow by title. Ties are broken by title.
+ */
+async function sortHandles(admin, collectionId, handles, rowByHandle, sortOrder) {
+    const productIdOf = (h) => rowByHandle.get(h)?.shopify_product_id;
+    const local = LOCAL_SORTS[sortOrder];
+
+    let data = new Map();
+    let rank = new Map();
+
+    if (local) data = await fetchProductSortData(admin, handles.map(productIdOf));
+    else if (sortOrder === "BEST_SELLING") rank = await fetchBestSellingRanks(admin, collectionId);
+    else return handles;
+
+    const titleOf = (h) => data.get(productIdOf(h))?.title || clean(rowByHandle.get(h)?.product_title) || h;
+
+    const keyOf = (h) => {
+        if (!local) return rank.get(productIdOf(h)) ?? null;
+        if (local.field === "title") return data.has(productIdOf(h)) ? titleOf(h) : null;
+        return data.get(productIdOf(h))?.[local.field] ?? null;
+    };
+
+    const compareKeys = (a, b) => {
+        if (typeof a === "string") return compareTitles(a, b) * (local?.direction || 1);
+        return (a - b) * (local?.direction || 1);
+    };
+
+    return handles
+        .map((h) => ({ h, key: keyOf(h), title: titleOf(h) }))
+        .sort((a, b) => {
+            if (a.key === null || b.key === null) {
+                if (a.key !== b.key) return a.key === null ? 1 : -1;
+            } else {
+                const byKey = compareKeys(a.key, b.key);
+                if (byKey) return byKey;
+            }
+            return compareTitles(a.title, b.title);
+        })
+        .map((x) => x.h);
+}
+
+/**
+ * Every grade mapped in a school without a grade list; "all grades" rows
+ * stand for these.
+ */
+async function getMappedSchoolGrades(supabase, shop, collectionId, gradeCatalog) {
+    const { data, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("grade")
+        .eq("shop", shop)
+        .eq("collection_id", collectionId)
+        .is("deleted_at", null)
+        .eq("all_grades", false);
+
+    if (error) {
+        throw new Error(error.message || "Failed to fetch school grades");
+    }
+
+    const grades = new Set();
+    for (const row of data || []) {
+        for (const g of gradeCatalog.expand(collectionId, row.grade)) grades.add(g);
+    }
+
+    return Array.from(grades);
+}
+
 /**
  * Fetch manual sort row for one collection + grade context
  */
-async function getManualSortRow(supabase, collectionId, grade = "") {
+async function getManualSortRow(supabase, shop, collectionId, grade = "") {
     const safeCollectionId = clean(collectionId);
     const safeGrade = clean(grade);
 
@@ -120,6 +374,7 @@ async function getManualSortRow(supabase, collectionId, grade = "") {
     const { data, error } = await supabase
         .from(MANUAL_SORT_TABLE)
         .select("school_id, grade, product_order, grade_override, status")
+        .eq("shop", shop)
         .eq("school_id", safeCollectionId)
         .eq("grade", safeGrade)
         .eq("status", 1)
@@ -139,11 +394,11 @@ async function getManualSortRow(supabase, collectionId, grade = "") {
  * - collection-level row (grade="") is default order
  * - grade-specific row is used only if grade_override === true
  */
-async function resolveManualSortRow(supabase, collectionId, gradeSelected = "") {
+async function resolveManualSortRow(supabase, shop, collectionId, gradeSelected = "") {
     const safeGrade = clean(gradeSelected);
 
     // collection-level row is always the default order
-    const collectionRow = await getManualSortRow(supabase, collectionId, "");
+    const collectionRow = await getManualSortRow(supabase, shop, collectionId, "");
 
     // if no grade selected, use collection default only
     if (!safeGrade) {
@@ -151,7 +406,7 @@ async function resolveManualSortRow(supabase, collectionId, gradeSelected = "")
     }
 
     // if grade selected, check grade-specific row
-    const gradeRow = await getManualSortRow(supabase, collectionId, safeGrade);
+    const gradeRow = await getManualSortRow(supabase, shop, collectionId, safeGrade);
 
     // use grade row only when override is true
     if (gradeRow && gradeRow.grade_override === true) {
@@ -181,201 +436,211 @@ function applyManualOrder(validHandles, manualHandles) {
     return [...ordered, ...missing];
 }
 
-/* ---------------- Proxy Loader ---------------- */
+function encodeCursor(handle, offset) {
+    return Buffer.from(JSON.stringify({ after: handle, offset })).toString("base64url");
+}
 
-export async function loader({ request }) {
+function decodeCursor(cursor) {
     try {
-        const { admin } = await authenticate.public.appProxy(request);
-        if (!admin) return new Response("Unauthorized", { status: 401 });
-
-        const url = new URL(request.url);
-
-        const mode = clean(url.searchParams.get("mode"));
-        const collectionHandle = clean(url.searchParams.get("collection_handle"));
-        const gradeSelected = clean(url.searchParams.get("grade"));
-        const productHandle = clean(url.searchParams.get("product_handle"));
-
-        const supabase = getSupabaseAdmin();
-
-        // SCHOOL LIST MODE
-        if (mode === "schools") {
-            const schools = await getAllowedSchools(supabase);
-
-            return new Response(
-                JSON.stringify({
-                    ok: true,
-                    mode: "schools",
-                    schools: schools.map((row) => ({
-                        collection_id: row.collection_id,
-                        collection_title: row.collection_title || "",
-                        collection_handle: row.collection_handle || "",
-                    })),
-                }),
-                {
-                    headers: {
-                        "Content-Type": "application/json; charset=utf-8",
-                        "Cache-Control": "public, max-age=30, stale-while-revalidate=300",
-                        Pragma: "no-cache",
-                        Expires: "0",
-                    },
-                }
-            );
-        }
-
-        if (!collectionHandle) {
-            return new Response(JSON.stringify({ ok: false, error: "Missing collection_handle" }), {
-                status: 400,
-                headers: { "Content-Type": "application/json; charset=utf-8" },
-            });
-        }
+        const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (Number.isInteger(parsed?.offset) && parsed.offset >= 0) return parsed;
+    } catch {
+        // fall through
+    }
+    return null;
+}
 
+/**
+ * Slice the final ordered handle list. With none of page / limit / cursor
+ * every handle is returned, as before, unless `required` (product cards),
+ * which serves the first DEFAULT_PAGE_LIMIT handles instead. A cursor resumes right after the last
+ * handle of the previous page, so products added or removed earlier in the
+ * list do not make infinite scroll repeat or skip items; page numbers are
+ * plain offsets.
+ */
+function paginateHandles(handles, { page, limit, cursor, required = false, maxLimit = MAX_PAGE_LIMIT }) {
+    if (!page && !limit && !cursor && !required) return { handles, pagination: null };
 
-        const allowedCollection = await isAllowedCollectionHandle(supabase, collectionHandle);
-        if (!allowedCollection) {
-            return new Response(JSON.stringify({ ok: false, error: "Collection not allowed" }), {
-                status: 403,
-                headers: { "Content-Type": "application/json; charset=utf-8" },
-            });
-        }
-        // 1) resolve collection_id from Shopify
-        const collectionId = await fetchCollectionIdByHandle(admin, collectionHandle);
-        if (!collectionId) {
-            return new Response(JSON.stringify({ ok: false, error: "Collection not found in Shopify" }), {
-                status: 404,
-                headers: { "Content-Type": "application/json; charset=utf-8" },
-            });
-        }
+    const safeLimit = limit ? Number(limit) : DEFAULT_PAGE_LIMIT;
+    if (!Number.isInteger(safeLimit) || safeLimit < 1 || safeLimit > maxLimit) {
+        return { error: `limit must be between 1 and ${maxLimit}` };
+    }
 
-        // 2) read sort preference from settings
-        const sortOrder = await getCollectionSortOrder(supabase, collectionId);
+    let start = 0;
+    let safePage = null;
 
-        // 3) fetch rows from product_grade_collection
-        let query = supabase
-            .from(EXTERNAL_TABLE)
-            .select("*")
-            .eq("collection_id", collectionId)
-            .not("product_handle", "is", null);
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) return { error: "Invalid cursor" };
 
-        if (productHandle) {
-            query = query.eq("product_handle", productHandle);
-        }
+        const index = handles.indexOf(clean(decoded.after));
+        // the named handle is gone, so everything after it moved up one place
+        start = index >= 0 ? index + 1 : Math.min(Math.max(decoded.offset - 1, 0), handles.length);
+    } else {
+        safePage = page ? Number(page) : 1;
+        if (!Number.isInteger(safePage) || safePage < 1) return { error: "page must be a positive integer" };
 
-        const { data: rows, error } = await query;
+        start = (safePage - 1) * safeLimit;
+    }
 
-        if (error) {
-            return new Response(JSON.stringify({ ok: false, error: error.message || "Supabase error" }), {
-                status: 500,
-                headers: { "Content-Type": "application/json; charset=utf-8" },
-            });
-        }
+    const pageHandles = handles.slice(start, start + safeLimit);
+    const end = start + pageHandles.length;
+    const hasMore = end < handles.length;
+
+    return {
+        handles: pageHandles,
+        pagination: {
+            page: safePage,
+            limit: safeLimit,
+            offset: start,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(pageHandles[pageHandles.length - 1], end) : null,
+        },
+    };
+}
 
-        const safeRows = rows || [];
+/**
+ * Build the proxy response for one request; the loader caches it.
+ */
+async function buildSchoolProductsResponse(
+    admin,
+    supabase,
+    shop,
+    {
+        mode,
+        collectionHandle,
+        gradeSelected,
+        productHandle,
+        include = [],
+        page = "",
+        limit = "",
+        cursor = "",
+        sort = "",
+    }
+) {
+    // SCHOOL LIST MODE
+    if (mode === "schools") {
+        const schools = await getAllowedSchools(supabase, shop);
 
-        // PRODUCT MODE
-        if (productHandle) {
-            const gradeSet = new Set();
-            for (const r of safeRows) {
-                for (const g of splitGrades(r.grade)) gradeSet.add(g);
+        return new Response(
+            JSON.stringify({
+                ok: true,
+                mode: "schools",
+                schools: schools.map((row) => ({
+                    collection_id: row.collection_id,
+                    collection_title: row.collection_title || "",
+                    collection_handle: row.collection_handle || "",
+                })),
+            }),
+            {
+                headers: {
+                    "Content-Type": "application/json; charset=utf-8",
+                    "Cache-Control": "public, max-age=30, stale-while-revalidate=300",
+                    Pragma: "no-cache",
+                    Expires: "0",
+                },
             }
+        );
+    }
 
-            const grades = Array.from(gradeSet).sort((a, b) => Number(a) - Number(b));
-
-            return new Response(
-                JSON.stringify({
-                    ok: true,
-                    mode: "product",
-                    collection_handle: collectionHandle,
-                    collection_id: collectionId,
-                    sort_order: sortOrder,
-                    product_handle: productHandle,
-                    grades,
-                    grades_csv: grades.join(","),
-                }),
-                {
-                    headers: {
-                        "Content-Type": "application/json; charset=utf-8",
-                        "Cache-Control": "public, max-age=30, stale-while-revalidate=300",
-                        Pragma: "no-cache",
-                        Expires: "0",
-                    },
-                }
-            );
-        }
+    if (!collectionHandle) {
+        return new Response(JSON.stringify({ ok: false, error: "Missing collection_handle" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json; charset=utf-8" },
+        });
+    }
 
-        // COLLECTION MODE
+    const sortOverride = clean(sort).toUpperCase();
+    if (sortOverride && !ALLOWED_SORTS.has(sortOverride)) {
+        return new Response(JSON.stringify({ ok: false, error: "Unknown sort" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json; charset=utf-8" },
+        });
+    }
 
-        // available grades
-        const gradeSet = new Set();
-        for (const r of safeRows) {
-            for (const g of splitGrades(r.grade)) gradeSet.add(g);
-        }
-        const available_grades = Array.from(gradeSet).sort((a, b) => Number(a) - Number(b));
+    // 1) resolve collection_id from the settings registry (Shopify only for unknown handles)
+    const collectionId = await resolveAllowedCollectionId(admin, supabase, shop, collectionHandle);
+    if (!collectionId) {
+        return new Response(JSON.stringify({ ok: false, error: "Collection not allowed" }), {
+            status: 403,
+            headers: { "Content-Type": "application/json; charset=utf-8" },
+        });
+    }
 
-        // grade filter
-        const filteredRows = gradeSelected
-            ? safeRows.filter((r) => splitGrades(r.grade).includes(gradeSelected))
-            : safeRows;
+    // 2) read sort preference from settings; a shopper's ?sort= wins
+    const sortOrder = sortOverride || (await getCollectionSortOrder(supabase, shop, collectionId));
 
-        // build gradeByHandleSet
-        const gradeByHandleSet = {};
-        for (const r of filteredRows) {
-            const h = clean(r.product_handle);
-            if (!h) continue;
+    // 3) fetch rows from product_grade_collection
+    let query = supabase
+        .from(EXTERNAL_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .eq("collection_id", collectionId)
+        .is("deleted_at", null)
+        .not("product_handle", "is", null)
+        .order("id", { ascending: true });
 
-            if (!gradeByHandleSet[h]) gradeByHandleSet[h] = new Set();
-            for (const g of splitGrades(r.grade)) gradeByHandleSet[h].add(g);
-        }
+    if (productHandle) {
+        query = query.eq("product_handle", productHandle);
+    }
 
-        // de-dupe to one row per handle
-        const rowByHandle = new Map();
-        for (const r of filteredRows) {
-            const h = clean(r.product_handle);
-            if (!h) continue;
+    const { data: rows, error } = await query;
 
-            if (!rowByHandle.has(h)) {
-                rowByHandle.set(h, r);
-                continue;
-            }
+    if (error) {
+        return new Response(JSON.stringify({ ok: false, error: error.message || "Supabase error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json; charset=utf-8" },
+        });
+    }
 
-            const existing = rowByHandle.get(h);
-            const existingTitle = clean(existing?.product_title);
-            const newTitle = clean(r?.product_title);
+    const safeRows = rows || [];
+
+    // Grades in the school's canonical form and order, with ranges and the
+    // all-grades flag expanded; values missing from its grade list are kept
+    // (sorted last) rather than hidden
+    const gradeCatalog = await getGradeCatalog(supabase, shop);
+    const compareGrades = gradeCatalog.compare(collectionId);
+    const allGradesFallback =
+        !gradeCatalog.hasList(collectionId) && safeRows.some(hasAllGrades)
+            ? await getMappedSchoolGrades(supabase, shop, collectionId, gradeCatalog)
+            : [];
+    const splitGrades = (row) =>
+        gradeCatalog.expand(collectionId, row.grade, {
+            allGrades: hasAllGrades(row),
+            fallback: allGradesFallback,
+        });
+    const gradeFilter = gradeSelected ? gradeCatalog.expand(collectionId, gradeSelected)[0] || gradeSelected : "";
 
-            if (!existingTitle && newTitle) rowByHandle.set(h, r);
+    // PRODUCT MODE
+    if (productHandle) {
+        const gradeSet = new Set();
+        for (const r of safeRows) {
+            for (const g of splitGrades(r)) gradeSet.add(g);
         }
 
-        const uniqueRows = Array.from(rowByHandle.values());
-
-        let handles = uniqueRows
-            .map((r) => clean(r.product_handle))
-            .filter(Boolean);
-
-        // APPLY MANUAL ORDER ONLY WHEN SETTINGS SAY MANUAL
-        if (sortOrder === "MANUAL") {
-            const manualRow = await resolveManualSortRow(supabase, collectionId, gradeSelected);
-
-            const manualHandles = manualRow?.product_order?.handles || [];
-            handles = applyManualOrder(handles, manualHandles);
-        }
+        const grades = Array.from(gradeSet).sort(compareGrades);
 
-        const gradeByHandle = {};
-        for (const h of handles) {
-            const set = gradeByHandleSet[h];
-            gradeByHandle[h] = set ? Array.from(set).join(",") : "";
-        }
+        // null when the school allows every variant
+        const productIds = [...new Set(safeRows.map((r) => r.shopify_product_id).filter(Boolean))];
+        const allowedVariants = resolveAllowedVariants(
+            await getVariantRestrictions(supabase, shop, collectionId, { productIds }),
+            gradeFilter
+        );
+        const allowedIds = productIds.flatMap((id) => allowedVariants.get(id) || []);
+        const restricted = productIds.some((id) => allowedVariants.has(id));
 
         return new Response(
             JSON.stringify({
                 ok: true,
-                mode: "collection",
+                mode: "product",
                 collection_handle: collectionHandle,
                 collection_id: collectionId,
                 sort_order: sortOrder,
-                grade_selected: gradeSelected || null,
-                total_handles: handles.length,
-                handles,
-                available_grades,
-                gradeByHandle,
+                product_handle: productHandle,
+                grades,
+                grades_csv: grades.join(","),
+                grade_labels: gradeCatalog.labels(collectionId),
+                allowed_variant_ids: restricted ? allowedIds.map(toVariantNumericId).filter(Boolean) : null,
             }),
             {
                 headers: {
@@ -386,6 +651,201 @@ export async function loader({ request }) {
                 },
             }
         );
+    }
+
+    // COLLECTION MODE
+
+    // available grades
+    const gradeSet = new Set();
+    for (const r of safeRows) {
+        for (const g of splitGrades(r)) gradeSet.add(g);
+    }
+    const available_grades = Array.from(gradeSet).sort(compareGrades);
+
+    // grade filter
+    const filteredRows = gradeFilter
+        ? safeRows.filter((r) => splitGrades(r).includes(gradeFilter))
+        : safeRows;
+
+    // build gradeByHandleSet
+    const gradeByHandleSet = {};
+    for (const r of filteredRows) {
+        const h = clean(r.product_handle);
+        if (!h) continue;
+
+        if (!gradeByHandleSet[h]) gradeByHandleSet[h] = new Set();
+        for (const g of splitGrades(r)) gradeByHandleSet[h].add(g);
+    }
+
+    // de-dupe to one row per handle
+    const rowByHandle = new Map();
+    for (const r of filteredRows) {
+        const h = clean(r.product_handle);
+        if (!h) continue;
+
+        if (!rowByHandle.has(h)) {
+            rowByHandle.set(h, r);
+            continue;
+        }
+
+        const existing = rowByHandle.get(h);
+        const existingTitle = clean(existing?.product_title);
+        const newTitle = clean(r?.product_title);
+
+        if (!existingTitle && newTitle) rowByHandle.set(h, r);
+    }
+
+    const uniqueRows = Array.from(rowByHandle.values());
+
+    let handles = uniqueRows
+        .map((r) => clean(r.product_handle))
+        .filter(Boolean);
+
+    // MANUAL uses the saved order; other sorts use Shopify product data
+    if (sortOrder === "MANUAL") {
+        const manualRow = await resolveManualSortRow(supabase, shop, collectionId, gradeFilter);
+
+        const manualHandles = manualRow?.product_order?.handles || [];
+        handles = applyManualOrder(handles, manualHandles);
+    } else if (handles.length > 1) {
+        handles = await sortHandles(admin, collectionId, handles, rowByHandle, sortOrder);
+    }
+
+    // paginate the final order, so manual order holds across pages
+    const totalHandles = handles.length;
+    const wantsCards = include.includes("products");
+    const paged = paginateHandles(handles, {
+        page,
+        limit,
+        cursor,
+        required: wantsCards,
+        maxLimit: wantsCards ? MAX_CARD_PAGE_LIMIT : MAX_PAGE_LIMIT,
+    });
+    if (paged.error) {
+        return new Response(JSON.stringify({ ok: false, error: paged.error }), {
+            status: 400,
+            headers: { "Content-Type": "application/json; charset=utf-8" },
+        });
+    }
+    handles = paged.handles;
+
+    const gradeByHandle = {};
+    for (const h of handles) {
+        const set = gradeByHandleSet[h];
+        gradeByHandle[h] = set ? Array.from(set).join(",") : "";
+    }
+
+    // Only restricted handles are listed; the rest allow every variant
+    const allowedVariants = resolveAllowedVariants(
+        await getVariantRestrictions(supabase, shop, collectionId),
+        gradeFilter
+    );
+    const allowedVariantsByHandle = {};
+    for (const h of handles) {
+        const ids = allowedVariants.get(rowByHandle.get(h)?.shopify_product_id);
+        if (ids) allowedVariantsByHandle[h] = ids.map(toVariantNumericId).filter(Boolean);
+    }
+
+    // include=products: cards in handle order; products that are not active are left out
+    let products;
+    if (wantsCards) {
+        const cards = await fetchProductCards(admin, handles.map((h) => rowByHandle.get(h)?.shopify_product_id));
+        products = handles.map((h) => cards.get(rowByHandle.get(h)?.shopify_product_id)).filter(Boolean);
+    }
+
+    return new Response(
+        JSON.stringify({
+            ok: true,
+            mode: "collection",
+            collection_handle: collectionHandle,
+            collection_id: collectionId,
+            sort_order: sortOrder,
+            grade_selected: gradeFilter || null,
+            total_handles: totalHandles,
+            handles,
+            ...(paged.pagination ? { pagination: paged.pagination } : {}),
+            available_grades,
+            grade_labels: gradeCatalog.labels(collectionId),
+            gradeByHandle,
+            allowedVariantsByHandle,
+            ...(products ? { products } : {}),
+        }),
+        {
+            headers: {
+                "Content-Type": "application/json; charset=utf-8",
+                "Cache-Control": "public, max-age=30, stale-while-revalidate=300",
+                Pragma: "no-cache",
+                Expires: "0",
+            },
+        }
+    );
+}
+
+/* ---------------- Proxy Loader ---------------- */
+
+// Query params that change the response; Shopify's signature params do not
+const CACHE_KEY_PARAMS = [
+    "mode",
+    "collection_handle",
+    "grade",
+    "product_handle",
+    "include",
+    "page",
+    "limit",
+    "cursor",
+    "sort",
+];
+
+export async function loader({ request }) {
+    try {
+        const { admin, session } = await authenticate.public.appProxy(request);
+        if (!admin) return new Response("Unauthorized", { status: 401 });
+
+        const shop = clean(session?.shop);
+
+        const url = new URL(request.url);
+
+        const params = {
+            mode: clean(url.searchParams.get("mode")),
+            collectionHandle: clean(url.searchParams.get("collection_handle")),
+            gradeSelected: clean(url.searchParams.get("grade")),
+            productHandle: clean(url.searchParams.get("product_handle")),
+            include: clean(url.searchParams.get("include"))
+                .toLowerCase()
+                .split(",")
+                .map(clean)
+                .filter(Boolean),
+            page: clean(url.searchParams.get("page")),
+            limit: clean(url.searchParams.get("limit")),
+            cursor: clean(url.searchParams.get("cursor")),
+            sort: clean(url.searchParams.get("sort")),
+        };
+
+        const result = await withProxyCache(
+            shop,
+            CACHE_KEY_PARAMS.map((name) => clean(url.searchParams.get(name))),
+            () => buildSchoolProductsResponse(admin, getSupabaseAdmin(), shop, params)
+        );
+
+        if (!result.etag) {
+            return new Response(result.body, { status: result.status, headers: result.headers });
+        }
+
+        const headers = {
+            "Content-Type": "application/json; charset=utf-8",
+            "Cache-Control": "public, max-age=30, stale-while-revalidate=300",
+            Pragma: "no-cache",
+            Expires: "0",
+            ETag: result.etag,
+            "X-Cache": result.cache,
+        };
+
+        const ifNoneMatch = clean(request.headers.get("If-None-Match"));
+        if (ifNoneMatch && ifNoneMatch.split(",").some((tag) => clean(tag).replace(/^W\//, "") === result.etag)) {
+            return new Response(null, { status: 304, headers });
+        }
+
+        return new Response(result.body, { status: 200, headers });
     } catch (e) {
         return new Response(JSON.stringify({ ok: false, error: e?.message || "Server error" }), {
             status: 500,
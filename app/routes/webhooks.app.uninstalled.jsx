@@ -1,4 +1,6 @@
 import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { scheduleShopPurge } from "../utils/shopData.server";
 import db from "../db.server";
 
 export const action = async ({ request }) => {
@@ -12,5 +14,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Supabase data is kept for the retention window, then purged by the uninstall sweep
+  const pending = await scheduleShopPurge(getSupabaseAdmin(), shop);
+  console.log(`Supabase data for ${shop} will be purged after ${pending?.purge_after}`);
+
   return new Response();
 };
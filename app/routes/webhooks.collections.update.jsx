@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { updateCollectionInMappings } from "../utils/productMappings.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await updateCollectionInMappings(getSupabaseAdmin(), shop, {
+    collectionId: payload?.admin_graphql_api_id || payload?.id,
+    title: payload?.title,
+    handle: payload?.handle,
+  });
+
+  return new Response();
+};
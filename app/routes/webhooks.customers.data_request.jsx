@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { exportCustomerData } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const exported = await exportCustomerData(getSupabaseAdmin(), { shop, topic, payload });
+
+  console.log(`Exported ${exported.profiles.length} profile rows for ${shop} (export ${exported.export_id})`);
+
+  return new Response();
+};
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { redactCustomerData } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const { deletedRows } = await redactCustomerData(getSupabaseAdmin(), { shop, topic, payload });
+
+  console.log(`Redacted ${deletedRows} profile rows for ${shop}`);
+
+  return new Response();
+};
@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { softDeleteProductMappings } from "../utils/productMappings.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // products/delete only carries the product id
+  const result = await softDeleteProductMappings(getSupabaseAdmin(), shop, payload?.id);
+
+  if (result.deletedRows) {
+    console.log(`Soft-deleted ${result.deletedRows} mapping rows for product ${payload?.id}`);
+  }
+
+  return new Response();
+};
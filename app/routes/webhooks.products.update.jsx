@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { renameProductInMappings } from "../utils/productMappings.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const result = await renameProductInMappings(getSupabaseAdmin(), shop, {
+    productId: payload?.admin_graphql_api_id || payload?.id,
+    title: payload?.title,
+    handle: payload?.handle,
+  });
+
+  if (result.updatedRows) {
+    console.log(`Refreshed ${result.updatedRows} mapping rows for ${payload?.handle}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { getSupabaseAdmin } from "../supabase.server";
+import { redactShopData } from "../utils/compliance.server";
+import db from "../db.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await redactShopData(getSupabaseAdmin(), { shop, topic });
+  await db.session.deleteMany({ where: { shop } });
+
+  return new Response();
+};
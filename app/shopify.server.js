@@ -6,6 +6,8 @@ import {
 } from "@shopify/shopify-app-react-router/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { getSupabaseAdmin } from "./supabase.server";
+import { cancelShopPurge } from "./utils/shopData.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -19,6 +21,18 @@ const shopify = shopifyApp({
   future: {
     expiringOfflineAccessTokens: true,
   },
+  hooks: {
+    // Reinstalling inside the uninstall grace window keeps the shop's data
+    afterAuth: async ({ session }) => {
+      try {
+        if (await cancelShopPurge(getSupabaseAdmin(), session.shop)) {
+          console.log(`Cancelled pending data purge for ${session.shop}`);
+        }
+      } catch (e) {
+        console.error("cancelShopPurge failed:", e);
+      }
+    },
+  },
   ...(process.env.SHOP_CUSTOM_DOMAIN
     ? { customShopDomains: [process.env.SHOP_CUSTOM_DOMAIN] }
     : {}),
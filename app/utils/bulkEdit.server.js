@@ -0,0 +1,268 @@
+// app/utils/bulkEdit.server.js
+// Products page bulk actions: one operation applied to many selected products.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getSchools } from "./schools.server";
+import { toCollectionGid, toProductGid } from "./productMappings.server";
+import { getSchoolTagsForCollections, removeUnjustifiedSchoolTags } from "./schoolTags.server";
+import { getShopSettings } from "./shopSettings.server";
+import { pushGradeMetafield } from "./gradeMetafield.server";
+import { getGradeCatalog, hasAllGrades, isAllGradesValue, requireKnownGrades } from "./schoolGrades.server";
+import { startMappingHistory } from "./mappingHistory.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+
+export const BULK_OPERATIONS = ["addGrade", "removeGrade", "assignSchool", "removeSchool", "setSizeType"];
+
+// Operations that change which grades a product has
+const GRADE_OPERATIONS = ["addGrade", "removeGrade", "assignSchool", "removeSchool"];
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+async function getMappingRows(supabase, shop, productIds, collectionId) {
+    let query = supabase
+        .from(EXTERNAL_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .in("shopify_product_id", productIds);
+
+    if (collectionId) query = query.eq("collection_id", collectionId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+
+    return data || [];
+}
+
+async function fetchNodes(admin, ids) {
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      query BulkEditNodes($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product { id title handle }
+          ... on Collection { id title handle }
+        }
+      }
+    `,
+        { ids }
+    );
+
+    return new Map((json?.data?.nodes || []).filter((n) => n?.id).map((n) => [n.id, n]));
+}
+
+async function upsertRows(supabase, rows) {
+    if (!rows.length) return;
+
+    const { error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .upsert(rows, { onConflict: "shop,shopify_product_id,collection_id" });
+
+    if (error) throw new Error(error.message);
+}
+
+// "K-5", "PK-3": a range left literal because the school has no grade list
+function isLiteralRange(grade) {
+    return /^(pre-?k|pk|tk|k|\d{1,2})\s*-\s*(k|\d{1,2})$/i.test(cleanText(grade));
+}
+
+function withGrade(row, grades, allGrades, now) {
+    return { ...row, grade: grades.length ? grades.join(",") : null, all_grades: allGrades, updated_at: now };
+}
+
+/**
+ * Apply one bulk operation to the selected products in a single write.
+ * Returns a summary: { operation, products, updatedRows, insertedRows,
+ * deletedRows, unchangedRows, skippedRows, skippedProducts, removedTags, errors }.
+ * skippedRows are range or all-grades mappings of a school without a grade
+ * list, which removeGrade cannot split into single grades.
+ */
+export async function applyBulkEdit(
+    admin,
+    supabase,
+    shop,
+    { operation, productIds = [], collectionId = "", grade = "", sizeType = "", sourceRef = null }
+) {
+    if (!BULK_OPERATIONS.includes(operation)) throw new Error(`Unknown bulk operation: ${operation}`);
+
+    const ids = [...new Set(productIds.map(toProductGid).filter(Boolean))];
+    if (!ids.length) throw new Error("No products selected");
+
+    const collectionGid = collectionId ? toCollectionGid(collectionId) : "";
+    const safeGrade = cleanText(grade);
+    const now = new Date().toISOString();
+
+    const schools = await getSchools(supabase, shop);
+    const school = schools.find((s) => s.collection_id === collectionGid);
+    if (operation !== "setSizeType" && !school) throw new Error("Choose a school");
+
+    if ((operation === "addGrade" || operation === "removeGrade") && !safeGrade) throw new Error("Enter a grade");
+
+    const gradeCatalog = await getGradeCatalog(supabase, shop);
+    const gradeCodes = safeGrade ? requireKnownGrades(gradeCatalog, collectionGid, safeGrade, school?.display_name) : [];
+    const rowGrades = (row) => gradeCatalog.canonicalize(collectionGid, row.grade);
+    // "All" as the grade toggles the all-grades flag instead of a code
+    const allGrades = isAllGradesValue(safeGrade);
+
+    const history = await startMappingHistory(supabase, shop, { productIds: ids }, { source: "bulk", sourceRef });
+
+    const summary = {
+        operation,
+        products: ids.length,
+        updatedRows: 0,
+        insertedRows: 0,
+        deletedRows: 0,
+        unchangedRows: 0,
+        skippedRows: 0,
+        skippedProducts: 0,
+        removedTags: 0,
+        errors: [],
+    };
+
+    if (operation === "addGrade" || operation === "removeGrade") {
+        const rows = (await getMappingRows(supabase, shop, ids, collectionGid)).filter((r) => !r.deleted_at);
+        const changed = [];
+
+        const hasList = gradeCatalog.hasList(collectionGid);
+        const targetCodes = hasList ? gradeCatalog.expand(collectionGid, gradeCodes.join(",")) : gradeCodes;
+
+        for (const row of rows) {
+            // Values outside the school's list are kept as they are
+            const { grades, unknown } = rowGrades(row);
+            const rowAll = hasAllGrades(row);
+            // Ranges and the all-grades flag count as the grades they cover
+            const covered = hasList
+                ? gradeCatalog.expand(collectionGid, grades.join(","), { allGrades: rowAll })
+                : grades;
+            const has = targetCodes.every((g) => covered.includes(g)) && (!allGrades || rowAll);
+            const hits = targetCodes.filter((g) => covered.includes(g));
+            const unsplittable = !hasList && !allGrades && (rowAll || grades.some(isLiteralRange));
+
+            if (operation === "addGrade" && !has) {
+                const next = [...new Set([...grades, ...gradeCodes])].sort(gradeCatalog.compare(collectionGid));
+                changed.push(withGrade(row, [...next, ...unknown], rowAll || allGrades, now));
+            } else if (operation === "removeGrade" && unsplittable) {
+                // Without a grade list there is nothing to split the range or flag into
+                summary.skippedRows += 1;
+            } else if (operation === "removeGrade" && (hits.length || (allGrades && rowAll))) {
+                // A grade inside a range or "all grades" splits it into the remaining codes
+                const split = hasList && hits.length > 0 && (rowAll || hits.some((g) => !grades.includes(g)));
+                const next = (split ? covered : grades).filter((g) => !targetCodes.includes(g));
+                changed.push(withGrade(row, [...next, ...unknown], rowAll && !allGrades && !split, now));
+            }
+        }
+
+        await upsertRows(supabase, changed);
+
+        summary.updatedRows = changed.length;
+        summary.unchangedRows = rows.length - changed.length - summary.skippedRows;
+        summary.skippedProducts = ids.length - new Set(rows.map((r) => r.shopify_product_id)).size;
+    }
+
+    if (operation === "assignSchool") {
+        const existing = new Map(
+            (await getMappingRows(supabase, shop, ids, collectionGid)).map((r) => [r.shopify_product_id, r])
+        );
+
+        const nodes = await fetchNodes(admin, [collectionGid, ...ids]);
+        const collection = nodes.get(collectionGid);
+        if (!collection) throw new Error("Collection not found in Shopify");
+
+        const schoolTags = await getSchoolTagsForCollections(supabase, shop, [collectionGid]);
+        const rows = [];
+
+        for (const id of ids) {
+            const prev = existing.get(id);
+
+            if (prev && !prev.deleted_at) {
+                summary.unchangedRows += 1;
+                continue;
+            }
+
+            const product = nodes.get(id);
+            if (!product) {
+                summary.skippedProducts += 1;
+                continue;
+            }
+
+            rows.push({
+                ...(prev || {}),
+                shop,
+                shopify_product_id: id,
+                product_title: product.title || null,
+                product_handle: product.handle || null,
+                collection_id: collectionGid,
+                collection_title: collection.title || null,
+                collection_handle: collection.handle || null,
+                school_tag: cleanText(prev?.school_tag) || schoolTags[0] || null,
+                grade: gradeCodes.length ? gradeCodes.join(",") : null,
+                all_grades: allGrades,
+                deleted_at: null,
+                updated_at: now,
+            });
+        }
+
+        await upsertRows(supabase, rows);
+        summary.insertedRows = rows.length;
+    }
+
+    if (operation === "removeSchool") {
+        const { data, error } = await supabase
+            .from(EXTERNAL_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .eq("collection_id", collectionGid)
+            .in("shopify_product_id", ids)
+            .select("shopify_product_id");
+
+        if (error) throw new Error(error.message);
+
+        summary.deletedRows = (data || []).length;
+        summary.skippedProducts = ids.length - new Set((data || []).map((r) => r.shopify_product_id)).size;
+
+        const tags = await getSchoolTagsForCollections(supabase, shop, [collectionGid]);
+
+        for (const id of new Set((data || []).map((r) => r.shopify_product_id))) {
+            try {
+                const { removedTags } = await removeUnjustifiedSchoolTags(admin, supabase, shop, id, tags);
+                summary.removedTags += removedTags.length;
+            } catch (e) {
+                summary.errors.push(`${id}: ${e?.message || e}`);
+            }
+        }
+    }
+
+    if (operation === "setSizeType") {
+        let query = supabase
+            .from(EXTERNAL_TABLE)
+            .update({ size_type: cleanText(sizeType) || null, updated_at: now })
+            .eq("shop", shop)
+            .in("shopify_product_id", ids)
+            .is("deleted_at", null);
+
+        if (collectionGid) query = query.eq("collection_id", collectionGid);
+
+        const { data, error } = await query.select("shopify_product_id");
+        if (error) throw new Error(error.message);
+
+        summary.updatedRows = (data || []).length;
+        summary.skippedProducts = ids.length - new Set((data || []).map((r) => r.shopify_product_id)).size;
+    }
+
+    await history.record();
+
+    // Opt-in: keep custom.grade in step with the new grades
+    if (GRADE_OPERATIONS.includes(operation) && (await getShopSettings(supabase, shop)).grade_metafield_sync) {
+        for (const id of ids) {
+            try {
+                await pushGradeMetafield(admin, supabase, shop, id);
+            } catch (e) {
+                summary.errors.push(`${id}: ${e?.message || e}`);
+            }
+        }
+    }
+
+    return summary;
+}
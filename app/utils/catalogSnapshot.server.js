@@ -0,0 +1,355 @@
+// app/utils/catalogSnapshot.server.js
+// Full catalogue snapshot from a Shopify bulk operation, used for reconciliation.
+
+import { readFile } from "fs/promises";
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getActiveSchoolLookups } from "./schools.server";
+
+const SNAPSHOT_TABLE = "catalog_snapshots";
+const RUNS_TABLE = "catalog_snapshot_runs";
+const EXTERNAL_TABLE = "product_grade_collection";
+
+const INSERT_CHUNK_SIZE = 500;
+const READ_PAGE_SIZE = 1000;
+
+const BULK_PRODUCTS_QUERY = `
+{
+  products {
+    edges {
+      node {
+        id
+        title
+        handle
+        status
+        tags
+        metafield(namespace: "custom", key: "grade") { value }
+        options { name values }
+        collections {
+          edges { node { id title handle } }
+        }
+      }
+    }
+  }
+}
+`;
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+/**
+ * Turn bulk operation JSONL into products with their collections.
+ * Child lines (collections) carry __parentId pointing at the product.
+ */
+export function parseCatalogJsonl(text) {
+    const products = new Map();
+    const children = [];
+
+    for (const line of String(text || "").split("\n")) {
+        if (!line.trim()) continue;
+
+        const row = JSON.parse(line);
+        const id = cleanText(row?.id);
+
+        if (!row?.__parentId) {
+            if (!id.startsWith("gid://shopify/Product/")) continue;
+
+            const sizes = [];
+            for (const o of row?.options || []) {
+                if (String(o?.name || "").toLowerCase() === "size") sizes.push(...(o?.values || []));
+            }
+
+            products.set(id, {
+                product_id: id,
+                title: cleanText(row?.title),
+                handle: cleanText(row?.handle),
+                status: cleanText(row?.status) || null,
+                tags: Array.isArray(row?.tags) ? row.tags.map(cleanText).filter(Boolean) : [],
+                grade: cleanText(row?.metafield?.value) || null,
+                sizes: sizes.map(cleanText).filter(Boolean),
+                collections: [],
+            });
+            continue;
+        }
+
+        if (id.startsWith("gid://shopify/Collection/")) {
+            children.push(row);
+        }
+    }
+
+    // Shopify writes a parent before its children, but don't rely on it
+    for (const row of children) {
+        const parent = products.get(row.__parentId);
+        if (!parent) continue;
+
+        parent.collections.push({
+            id: cleanText(row.id),
+            title: cleanText(row.title),
+            handle: cleanText(row.handle),
+        });
+    }
+
+    return Array.from(products.values());
+}
+
+async function saveCatalogSnapshot(supabase, shop, products, snapshotAt) {
+    for (let i = 0; i < products.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = products.slice(i, i + INSERT_CHUNK_SIZE).map((p) => ({
+            ...p,
+            shop,
+            snapshot_at: snapshotAt,
+        }));
+
+        const { error } = await supabase
+            .from(SNAPSHOT_TABLE)
+            .upsert(chunk, { onConflict: "shop,product_id" });
+
+        if (error) throw new Error(error.message);
+    }
+
+    // products that no longer exist in Shopify drop out of the snapshot
+    const { error: pruneErr } = await supabase
+        .from(SNAPSHOT_TABLE)
+        .delete()
+        .eq("shop", shop)
+        .lt("snapshot_at", snapshotAt);
+
+    if (pruneErr) throw new Error(pruneErr.message);
+}
+
+async function finishRun(supabase, run, update) {
+    const { data, error } = await supabase
+        .from(RUNS_TABLE)
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq("id", run.id)
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    return data;
+}
+
+async function importJsonl(supabase, shop, run, text) {
+    const products = parseCatalogJsonl(text);
+    const snapshotAt = new Date().toISOString();
+
+    await saveCatalogSnapshot(supabase, shop, products, snapshotAt);
+
+    return finishRun(supabase, run, {
+        status: "completed",
+        object_count: products.length,
+        completed_at: snapshotAt,
+        error_message: null,
+    });
+}
+
+export async function getLatestSnapshotRun(supabase, shop, { status = "" } = {}) {
+    let query = supabase
+        .from(RUNS_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .order("id", { ascending: false })
+        .limit(1);
+
+    if (status) query = query.eq("status", status);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    return data || null;
+}
+
+/**
+ * Start a snapshot. With CATALOG_SNAPSHOT_FIXTURE set, the JSONL file at that
+ * path is imported instead of running a bulk operation.
+ */
+export async function startCatalogSnapshot(admin, supabase, shop) {
+    const latest = await getLatestSnapshotRun(supabase, shop);
+    if (latest?.status === "running") return latest;
+
+    const { data: run, error } = await supabase
+        .from(RUNS_TABLE)
+        .insert({
+            shop,
+            status: "running",
+            updated_at: new Date().toISOString(),
+        })
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    try {
+        const fixturePath = cleanText(process.env.CATALOG_SNAPSHOT_FIXTURE);
+        if (fixturePath) {
+            return await importJsonl(supabase, shop, run, await readFile(fixturePath, "utf8"));
+        }
+
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        mutation RunCatalogSnapshot($query: String!) {
+          bulkOperationRunQuery(query: $query) {
+            bulkOperation { id status }
+            userErrors { field message }
+          }
+        }
+      `,
+            { query: BULK_PRODUCTS_QUERY }
+        );
+
+        const node = json?.data?.bulkOperationRunQuery;
+        const ue = (node?.userErrors || []).map((e) => e?.message || String(e)).join(" | ");
+        if (ue) throw new Error(ue);
+        if (!node?.bulkOperation?.id) throw new Error("bulkOperationRunQuery returned no operation");
+
+        return finishRun(supabase, run, { bulk_operation_id: node.bulkOperation.id });
+    } catch (e) {
+        await finishRun(supabase, run, {
+            status: "failed",
+            error_message: e?.message || String(e),
+        });
+        throw e;
+    }
+}
+
+/**
+ * Check a running snapshot; once Shopify has finished, download and store it.
+ */
+export async function refreshCatalogSnapshot(admin, supabase, shop) {
+    const run = await getLatestSnapshotRun(supabase, shop);
+    if (!run || run.status !== "running" || !run.bulk_operation_id) return run;
+
+    try {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        query CatalogSnapshotStatus($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+          }
+        }
+      `,
+            { id: run.bulk_operation_id }
+        );
+
+        const op = json?.data?.node;
+        if (!op) throw new Error("Bulk operation not found");
+
+        if (["CREATED", "RUNNING"].includes(op.status)) return run;
+
+        if (op.status !== "COMPLETED") {
+            return finishRun(supabase, run, {
+                status: "failed",
+                error_message: `Bulk operation ${String(op.status).toLowerCase()}${op.errorCode ? `: ${op.errorCode}` : ""}`,
+            });
+        }
+
+        // an empty store completes without a result file
+        if (!op.url) return importJsonl(supabase, shop, run, "");
+
+        const res = await fetch(op.url);
+        if (!res.ok) throw new Error(`Snapshot download failed (${res.status})`);
+
+        return importJsonl(supabase, shop, run, await res.text());
+    } catch (e) {
+        return finishRun(supabase, run, {
+            status: "failed",
+            error_message: e?.message || String(e),
+        });
+    }
+}
+
+async function readAll(buildQuery) {
+    const out = [];
+
+    for (let from = 0; ; from += READ_PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + READ_PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+
+        out.push(...(data || []));
+        if (!data || data.length < READ_PAGE_SIZE) break;
+    }
+
+    return out;
+}
+
+/**
+ * Compare the snapshot with the mappings:
+ * - taggedNotMapped: product carries a school's tag but has no mapping for that school
+ * - inCollectionNotMapped: product sits in a school collection but has no mapping for it
+ * - mappedButDeleted: mapping points at a product that is not in the snapshot
+ */
+export async function buildReconciliationReport(supabase, shop) {
+    const snapshot = await readAll(() =>
+        supabase
+            .from(SNAPSHOT_TABLE)
+            .select("product_id, title, handle, tags, collections")
+            .eq("shop", shop)
+            .order("product_id", { ascending: true })
+    );
+
+    const mappings = await readAll(() =>
+        supabase
+            .from(EXTERNAL_TABLE)
+            .select("id, shopify_product_id, product_title, product_handle, collection_id, collection_title")
+            .eq("shop", shop)
+            .is("deleted_at", null)
+            .order("id", { ascending: true })
+    );
+
+    const { collectionIds, schoolNameByCollectionId, collectionIdByTag } = await getActiveSchoolLookups(
+        supabase,
+        shop
+    );
+
+    const mappedKeys = new Set(mappings.map((m) => `${m.shopify_product_id}|${m.collection_id}`));
+    const snapshotIds = new Set(snapshot.map((p) => p.product_id));
+
+    const taggedNotMapped = [];
+    const inCollectionNotMapped = [];
+
+    for (const p of snapshot) {
+        for (const tag of p.tags || []) {
+            const collectionId = collectionIdByTag[cleanText(tag).toLowerCase()];
+            if (!collectionId || mappedKeys.has(`${p.product_id}|${collectionId}`)) continue;
+
+            taggedNotMapped.push({
+                product_id: p.product_id,
+                title: p.title,
+                handle: p.handle,
+                school: schoolNameByCollectionId[collectionId] || tag,
+            });
+        }
+
+        for (const c of p.collections || []) {
+            if (!collectionIds.has(c.id) || mappedKeys.has(`${p.product_id}|${c.id}`)) continue;
+
+            inCollectionNotMapped.push({
+                product_id: p.product_id,
+                title: p.title,
+                handle: p.handle,
+                school: schoolNameByCollectionId[c.id] || c.title,
+            });
+        }
+    }
+
+    const mappedButDeleted = mappings
+        .filter((m) => !snapshotIds.has(m.shopify_product_id))
+        .map((m) => ({
+            product_id: m.shopify_product_id,
+            title: m.product_title,
+            handle: m.product_handle,
+            school: schoolNameByCollectionId[m.collection_id] || m.collection_title,
+        }));
+
+    return {
+        snapshotProducts: snapshot.length,
+        mappings: mappings.length,
+        taggedNotMapped,
+        inCollectionNotMapped,
+        mappedButDeleted,
+    };
+}
@@ -0,0 +1,268 @@
+// app/utils/collectionMembership.server.js
+// Opt-in: make a school's manual Shopify collection match its mappings.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getSchools } from "./schools.server";
+import { toCollectionGid } from "./productMappings.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const LOG_TABLE = "collection_membership_log";
+
+// collectionAddProducts / collectionRemoveProducts take at most 250 ids
+const MUTATION_CHUNK_SIZE = 250;
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function userErrorsText(node) {
+    return (node?.userErrors || []).map((e) => e?.message || String(e)).join(" | ");
+}
+
+async function getOptedInSchool(supabase, shop, collectionId) {
+    const schools = await getSchools(supabase, shop);
+    const school = schools.find((s) => s.collection_id === collectionId);
+
+    if (!school) throw new Error("School not found");
+    if (!school.sync_collection_membership) {
+        throw new Error(`Collection sync is not enabled for ${school.display_name}`);
+    }
+
+    return school;
+}
+
+async function fetchCollectionProducts(admin, collectionId) {
+    const products = [];
+    let after = null;
+    let collection = null;
+
+    do {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        query CollectionMembers($id: ID!, $first: Int!, $after: String) {
+          collection(id: $id) {
+            id
+            title
+            ruleSet { appliedDisjunctively }
+            products(first: $first, after: $after) {
+              pageInfo { hasNextPage endCursor }
+              edges { node { id title handle } }
+            }
+          }
+        }
+      `,
+            { id: collectionId, first: 250, after }
+        );
+
+        collection = json?.data?.collection;
+        if (!collection) throw new Error("Collection not found in Shopify");
+
+        products.push(...(collection.products?.edges || []).map((e) => e.node).filter(Boolean));
+
+        after = collection.products?.pageInfo?.hasNextPage ? collection.products.pageInfo.endCursor : null;
+    } while (after);
+
+    return {
+        title: collection.title || "",
+        isSmart: !!collection.ruleSet,
+        products,
+    };
+}
+
+/**
+ * What applying would change: mapped products missing from the collection are
+ * added, products in the collection without a mapping are removed.
+ */
+export async function previewCollectionMembership(admin, supabase, shop, collectionId) {
+    const collectionGid = toCollectionGid(collectionId);
+    const school = await getOptedInSchool(supabase, shop, collectionGid);
+
+    const shopifyCollection = await fetchCollectionProducts(admin, collectionGid);
+    if (shopifyCollection.isSmart) {
+        throw new Error(`${shopifyCollection.title} is a smart collection; its products follow its rules`);
+    }
+
+    const { data: rows, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("shopify_product_id, product_title, product_handle")
+        .eq("shop", shop)
+        .eq("collection_id", collectionGid)
+        .is("deleted_at", null);
+
+    if (error) throw new Error(error.message);
+
+    const mapped = new Map();
+    for (const r of rows || []) {
+        const id = cleanText(r?.shopify_product_id);
+        if (id && !mapped.has(id)) {
+            mapped.set(id, { id, title: r.product_title || "", handle: r.product_handle || "" });
+        }
+    }
+
+    const inCollection = new Map(shopifyCollection.products.map((p) => [p.id, p]));
+
+    return {
+        collectionId: collectionGid,
+        school: school.display_name,
+        toAdd: Array.from(mapped.values()).filter((p) => !inCollection.has(p.id)),
+        toRemove: shopifyCollection.products
+            .filter((p) => !mapped.has(p.id))
+            .map((p) => ({ id: p.id, title: p.title || "", handle: p.handle || "" })),
+    };
+}
+
+async function addProducts(admin, collectionId, productIds) {
+    for (let i = 0; i < productIds.length; i += MUTATION_CHUNK_SIZE) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        mutation AddToCollection($id: ID!, $productIds: [ID!]!) {
+          collectionAddProducts(id: $id, productIds: $productIds) {
+            collection { id }
+            userErrors { field message }
+          }
+        }
+      `,
+            { id: collectionId, productIds: productIds.slice(i, i + MUTATION_CHUNK_SIZE) }
+        );
+
+        const ue = userErrorsText(json?.data?.collectionAddProducts);
+        if (ue) throw new Error(ue);
+    }
+}
+
+async function removeProducts(admin, collectionId, productIds) {
+    for (let i = 0; i < productIds.length; i += MUTATION_CHUNK_SIZE) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        mutation RemoveFromCollection($id: ID!, $productIds: [ID!]!) {
+          collectionRemoveProducts(id: $id, productIds: $productIds) {
+            job { id }
+            userErrors { field message }
+          }
+        }
+      `,
+            { id: collectionId, productIds: productIds.slice(i, i + MUTATION_CHUNK_SIZE) }
+        );
+
+        const ue = userErrorsText(json?.data?.collectionRemoveProducts);
+        if (ue) throw new Error(ue);
+    }
+}
+
+async function logChange(supabase, shop, entry) {
+    const { data, error } = await supabase
+        .from(LOG_TABLE)
+        .insert({ shop, ...entry })
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    return data;
+}
+
+function sameIds(a, b) {
+    const set = new Set(a);
+    return set.size === new Set(b).size && b.every((id) => set.has(id));
+}
+
+/**
+ * Apply the preview the admin reviewed ({ addIds, removeIds }) and log each
+ * side so it can be undone. Refuses when the collection or its mappings have
+ * changed since, so nothing unseen is added or removed.
+ */
+export async function applyCollectionMembership(
+    admin,
+    supabase,
+    shop,
+    collectionId,
+    { addIds = [], removeIds = [] } = {}
+) {
+    const preview = await previewCollectionMembership(admin, supabase, shop, collectionId);
+
+    if (
+        !sameIds(preview.toAdd.map((p) => p.id), addIds.map(cleanText)) ||
+        !sameIds(preview.toRemove.map((p) => p.id), removeIds.map(cleanText))
+    ) {
+        throw new Error("The collection or its mappings changed since the preview; preview again before applying");
+    }
+
+    const logged = [];
+
+    if (preview.toAdd.length) {
+        const ids = preview.toAdd.map((p) => p.id);
+        await addProducts(admin, preview.collectionId, ids);
+        logged.push(
+            await logChange(supabase, shop, {
+                collection_id: preview.collectionId,
+                action: "add",
+                product_ids: ids,
+                products: preview.toAdd,
+            })
+        );
+    }
+
+    if (preview.toRemove.length) {
+        const ids = preview.toRemove.map((p) => p.id);
+        await removeProducts(admin, preview.collectionId, ids);
+        logged.push(
+            await logChange(supabase, shop, {
+                collection_id: preview.collectionId,
+                action: "remove",
+                product_ids: ids,
+                products: preview.toRemove,
+            })
+        );
+    }
+
+    return { ...preview, logged };
+}
+
+/**
+ * Reverse one logged change: re-add what was removed, remove what was added.
+ */
+export async function undoCollectionMembershipChange(admin, supabase, shop, logId) {
+    const { data: entry, error } = await supabase
+        .from(LOG_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .eq("id", logId)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!entry) throw new Error("Change not found");
+    if (entry.undone_at) throw new Error("This change was already undone");
+
+    const ids = Array.isArray(entry.product_ids) ? entry.product_ids : [];
+
+    if (entry.action === "add") await removeProducts(admin, entry.collection_id, ids);
+    else await addProducts(admin, entry.collection_id, ids);
+
+    const { data: updated, error: updErr } = await supabase
+        .from(LOG_TABLE)
+        .update({ undone_at: new Date().toISOString() })
+        .eq("shop", shop)
+        .eq("id", entry.id)
+        .select("*")
+        .single();
+
+    if (updErr) throw new Error(updErr.message);
+
+    return updated;
+}
+
+export async function getCollectionMembershipLog(supabase, shop, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+        .from(LOG_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .order("id", { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    return data || [];
+}
@@ -0,0 +1,248 @@
+// app/utils/compliance.server.js
+// GDPR compliance webhooks: export, redact and purge, each written to an audit log.
+
+import { purgeShopData } from "./shopData.server";
+
+const CUSTOMER_PROFILE_TABLE = "Lovable_Shopify_Integration_CusotmerProfil";
+const AUDIT_TABLE = "compliance_audit_log";
+const EXPORTS_TABLE = "compliance_data_exports";
+const DEFAULT_EXPORT_RETENTION_DAYS = 30;
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+// Profile rows store the numeric customer id, not the GID
+function normalizeCustomerId(value) {
+    const raw = cleanText(value);
+    if (!raw) return "";
+
+    const match = raw.match(/\/(\d+)$/);
+    return match ? match[1] : raw;
+}
+
+/**
+ * How long a data request export is kept for the merchant (COMPLIANCE_EXPORT_RETENTION_DAYS).
+ */
+export function getExportRetentionDays() {
+    const n = Number.parseInt(String(process.env.COMPLIANCE_EXPORT_RETENTION_DAYS ?? ""), 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_EXPORT_RETENTION_DAYS;
+}
+
+export async function logComplianceAction(
+    supabase,
+    { shop, topic, action, customerId = null, requestId = null, affectedRows = 0, details = null }
+) {
+    const { error } = await supabase.from(AUDIT_TABLE).insert({
+        shop,
+        topic,
+        action,
+        shopify_customer_id: customerId,
+        request_id: requestId,
+        affected_rows: affectedRows,
+        details,
+        created_at: new Date().toISOString(),
+    });
+
+    if (error) throw new Error(`Failed to write compliance audit log: ${error.message}`);
+}
+
+async function findCustomerProfileRows(supabase, { shop, customerId, email }) {
+    const rows = new Map();
+
+    if (customerId) {
+        const { data, error } = await supabase
+            .from(CUSTOMER_PROFILE_TABLE)
+            .select("*")
+            .eq("shop", shop)
+            .eq("shopify_customer_id", customerId);
+
+        if (error) throw new Error(error.message);
+        for (const row of data || []) rows.set(row.id, row);
+    }
+
+    if (email) {
+        const { data, error } = await supabase
+            .from(CUSTOMER_PROFILE_TABLE)
+            .select("*")
+            .eq("shop", shop)
+            .ilike("customer_email", email);
+
+        if (error) throw new Error(error.message);
+        for (const row of data || []) rows.set(row.id, row);
+    }
+
+    return Array.from(rows.values());
+}
+
+/**
+ * Record the shop on profile rows this app reached through that shop (a
+ * signed request or a customer account session). Rows already owned by a
+ * shop are left alone.
+ */
+export async function stampCustomerProfileShop(supabase, shop, rowIds = []) {
+    const ids = rowIds.filter((id) => id != null);
+    if (!shop || !ids.length) return;
+
+    const { error } = await supabase
+        .from(CUSTOMER_PROFILE_TABLE)
+        .update({ shop })
+        .in("id", ids)
+        .is("shop", null);
+
+    if (error) console.error(`Failed to stamp shop on customer profiles for ${shop}:`, error);
+}
+
+async function storeDataExport(supabase, { shop, customerId, requestId, exportJson }) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + getExportRetentionDays() * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from(EXPORTS_TABLE)
+        .insert({
+            shop,
+            shopify_customer_id: customerId,
+            request_id: requestId,
+            export: exportJson,
+            created_at: now.toISOString(),
+            expires_at: expiresAt.toISOString(),
+        })
+        .select("id")
+        .single();
+
+    if (error) throw new Error(`Failed to store data request export: ${error.message}`);
+
+    return data.id;
+}
+
+/**
+ * customers/data_request: collect every profile row (students included) as JSON
+ * and keep it in compliance_data_exports until it expires. The audit row links
+ * to the export by id and never holds the personal data.
+ */
+export async function exportCustomerData(supabase, { shop, topic, payload }) {
+    const customerId = normalizeCustomerId(payload?.customer?.id);
+    const email = cleanText(payload?.customer?.email).toLowerCase();
+
+    const rows = await findCustomerProfileRows(supabase, { shop, customerId, email });
+
+    const exportJson = {
+        shop,
+        customer: { id: customerId || null, email: email || null },
+        orders_requested: payload?.orders_requested || [],
+        exported_at: new Date().toISOString(),
+        profiles: rows,
+    };
+
+    const requestId = cleanText(payload?.data_request?.id) || null;
+    const exportId = await storeDataExport(supabase, { shop, customerId: customerId || null, requestId, exportJson });
+
+    await logComplianceAction(supabase, {
+        shop,
+        topic,
+        action: "export",
+        customerId: customerId || null,
+        requestId,
+        affectedRows: rows.length,
+        details: {
+            export_id: exportId,
+            orders_requested: exportJson.orders_requested,
+            exported_profile_ids: rows.map((r) => r.id),
+        },
+    });
+
+    return { ...exportJson, export_id: exportId };
+}
+
+/**
+ * customers/redact: delete the customer's profile rows. Students live inside
+ * those rows, so they go with them.
+ */
+export async function redactCustomerData(supabase, { shop, topic, payload }) {
+    const customerId = normalizeCustomerId(payload?.customer?.id);
+    const email = cleanText(payload?.customer?.email).toLowerCase();
+
+    const rows = await findCustomerProfileRows(supabase, { shop, customerId, email });
+    const ids = rows.map((r) => r.id).filter((id) => id != null);
+
+    if (ids.length) {
+        const { error } = await supabase
+            .from(CUSTOMER_PROFILE_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .in("id", ids);
+
+        if (error) throw new Error(error.message);
+    }
+
+    // Earlier data request exports hold the same personal data
+    let deletedExportIds = [];
+    if (customerId) {
+        const { data, error } = await supabase
+            .from(EXPORTS_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .eq("shopify_customer_id", customerId)
+            .select("id");
+
+        if (error) throw new Error(error.message);
+        deletedExportIds = (data || []).map((r) => r.id);
+    }
+
+    await logComplianceAction(supabase, {
+        shop,
+        topic,
+        action: "redact",
+        customerId: customerId || null,
+        affectedRows: ids.length,
+        details: {
+            orders_to_redact: payload?.orders_to_redact || [],
+            deleted_profile_ids: ids,
+            deleted_export_ids: deletedExportIds,
+        },
+    });
+
+    return { deletedRows: ids.length };
+}
+
+/**
+ * shop/redact: purge everything stored for the shop, customer profiles included.
+ */
+export async function redactShopData(supabase, { shop, topic }) {
+    const deleted = await purgeShopData(supabase, shop);
+
+    const { count, error } = await supabase
+        .from(CUSTOMER_PROFILE_TABLE)
+        .delete({ count: "exact" })
+        .eq("shop", shop);
+
+    if (error) throw new Error(error.message);
+    deleted[CUSTOMER_PROFILE_TABLE] = typeof count === "number" ? count : 0;
+
+    const affectedRows = Object.values(deleted).reduce((sum, n) => sum + n, 0);
+
+    await logComplianceAction(supabase, {
+        shop,
+        topic,
+        action: "purge",
+        affectedRows,
+        details: { deleted },
+    });
+
+    return { deleted };
+}
+
+/**
+ * Delete data request exports past their retention window.
+ * Returns the number of deleted exports.
+ */
+export async function purgeExpiredDataExports(supabase, { now = new Date() } = {}) {
+    const { count, error } = await supabase
+        .from(EXPORTS_TABLE)
+        .delete({ count: "exact" })
+        .lte("expires_at", now.toISOString());
+
+    if (error) throw new Error(`Failed to purge expired data exports: ${error.message}`);
+
+    return typeof count === "number" ? count : 0;
+}
@@ -0,0 +1,105 @@
+// app/utils/csv.js
+// Small CSV and download helpers shared by the admin pages (client safe).
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return "";
+
+    const text = Array.isArray(value) ? value.join(", ") : String(value);
+    if (/[",\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+
+    return text;
+}
+
+/**
+ * Build CSV text from a header row and an array of row arrays.
+ */
+export function toCsv(headers, rows) {
+    return [headers, ...(rows || [])]
+        .map((row) => row.map(escapeCsvValue).join(","))
+        .join("\r\n");
+}
+
+/**
+ * Parse CSV text into an array of row arrays. Handles quoted fields, escaped
+ * quotes, CRLF line endings and a leading BOM; blank lines are dropped.
+ */
+export function parseCsv(text) {
+    const src = String(text ?? "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && src[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+/**
+ * Trigger a browser download of CSV text.
+ */
+export function downloadCsv(filename, csvText) {
+    const blob = new Blob(["\uFEFF" + csvText], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Trigger a browser download of a base64 encoded file (e.g. an XLSX built on
+ * the server).
+ */
+export function downloadBase64(filename, base64, type) {
+    const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type }));
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+
+    URL.revokeObjectURL(url);
+}
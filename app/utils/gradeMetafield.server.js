@@ -0,0 +1,321 @@
+// app/utils/gradeMetafield.server.js
+// Opt-in write-back of mapped grades to the product's custom.grade metafield.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { toProductGid } from "./productMappings.server";
+import { getGradeCatalog, hasAllGrades } from "./schoolGrades.server";
+import { getShopSettings } from "./shopSettings.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const STATE_TABLE = "grade_metafield_state";
+
+export const GRADE_METAFIELD_NAMESPACE = "custom";
+export const GRADE_METAFIELD_KEY = "grade";
+const GRADE_METAFIELD_TYPE = "list.single_line_text_field";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function uniqStrings(arr) {
+    const out = [];
+    const seen = new Set();
+
+    for (const v of arr || []) {
+        const s = cleanText(v);
+        if (!s || seen.has(s.toLowerCase())) continue;
+
+        seen.add(s.toLowerCase());
+        out.push(s);
+    }
+
+    return out;
+}
+
+function sortGrades(grades) {
+    return [...grades].sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" }));
+}
+
+/**
+ * custom.grade may hold a JSON list (written by the app) or plain comma text.
+ */
+export function parseGradeMetafieldValue(value) {
+    const raw = cleanText(value);
+    if (!raw) return [];
+
+    if (raw.startsWith("[")) {
+        try {
+            const parsed = JSON.parse(raw);
+            if (Array.isArray(parsed)) return uniqStrings(parsed);
+        } catch {
+            // fall through to comma text
+        }
+    }
+
+    return uniqStrings(raw.split(","));
+}
+
+export function formatGradeMetafieldValue(value) {
+    return parseGradeMetafieldValue(value).join(", ");
+}
+
+function gradesKey(grades) {
+    return sortGrades(grades.map((g) => g.toLowerCase())).join("|");
+}
+
+/**
+ * Every grade of every school mapping of the product.
+ */
+// Ranges and "all grades" rows are written as the grades they cover
+async function getMappedGrades(supabase, shop, productGid) {
+    const { data, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("collection_id, grade, all_grades")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .is("deleted_at", null);
+
+    if (error) throw new Error(error.message);
+
+    const gradeCatalog = await getGradeCatalog(supabase, shop);
+
+    return sortGrades(
+        uniqStrings(
+            (data || []).flatMap((r) =>
+                gradeCatalog.expand(cleanText(r?.collection_id), r?.grade, { allGrades: hasAllGrades(r) })
+            )
+        )
+    );
+}
+
+async function readGradeMetafield(admin, productGid) {
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      query ProductGradeMetafield($id: ID!) {
+        product(id: $id) {
+          id
+          title
+          handle
+          metafield(namespace: "${GRADE_METAFIELD_NAMESPACE}", key: "${GRADE_METAFIELD_KEY}") { value }
+        }
+      }
+    `,
+        { id: productGid }
+    );
+
+    const p = json?.data?.product;
+    if (!p?.id) return null;
+
+    return {
+        title: p.title || "",
+        handle: p.handle || "",
+        value: cleanText(p?.metafield?.value),
+    };
+}
+
+async function writeGradeMetafield(admin, productGid, grades) {
+    if (!grades.length) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        mutation DeleteGradeMetafield($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            userErrors { field message }
+          }
+        }
+      `,
+            {
+                metafields: [
+                    { ownerId: productGid, namespace: GRADE_METAFIELD_NAMESPACE, key: GRADE_METAFIELD_KEY },
+                ],
+            }
+        );
+
+        const ue = json?.data?.metafieldsDelete?.userErrors || [];
+        if (ue.length) throw new Error(ue.map((e) => e?.message || String(e)).join(" | "));
+        return "";
+    }
+
+    const value = JSON.stringify(grades);
+
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      mutation SetGradeMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }
+    `,
+        {
+            metafields: [
+                {
+                    ownerId: productGid,
+                    namespace: GRADE_METAFIELD_NAMESPACE,
+                    key: GRADE_METAFIELD_KEY,
+                    type: GRADE_METAFIELD_TYPE,
+                    value,
+                },
+            ],
+        }
+    );
+
+    const ue = json?.data?.metafieldsSet?.userErrors || [];
+    if (ue.length) throw new Error(ue.map((e) => e?.message || String(e)).join(" | "));
+
+    return value;
+}
+
+async function saveState(supabase, shop, productGid, fields) {
+    const { error } = await supabase
+        .from(STATE_TABLE)
+        .upsert(
+            {
+                shop,
+                shopify_product_id: productGid,
+                ...fields,
+                updated_at: new Date().toISOString(),
+            },
+            { onConflict: "shop,shopify_product_id" }
+        );
+
+    if (error) throw new Error(error.message);
+}
+
+/**
+ * Write the product's mapped grades to custom.grade.
+ *
+ * If the metafield no longer holds what the app last wrote, someone edited it
+ * in Shopify admin: the write is skipped and the conflict stored, unless
+ * `force` is set.
+ * Returns { status: "written" | "unchanged" | "conflict" | "missing", ... }.
+ */
+export async function pushGradeMetafield(admin, supabase, shop, productId, { force = false } = {}) {
+    const productGid = toProductGid(productId);
+    if (!productGid) throw new Error("Missing product id");
+
+    const appGrades = await getMappedGrades(supabase, shop, productGid);
+    const current = await readGradeMetafield(admin, productGid);
+    if (!current) return { status: "missing", productId: productGid };
+
+    const shopifyGrades = parseGradeMetafieldValue(current.value);
+
+    const { data: state, error: stateErr } = await supabase
+        .from(STATE_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .maybeSingle();
+
+    if (stateErr) throw new Error(stateErr.message);
+
+    const base = {
+        product_title: current.title || null,
+        product_handle: current.handle || null,
+    };
+
+    if (gradesKey(shopifyGrades) === gradesKey(appGrades)) {
+        await saveState(supabase, shop, productGid, {
+            ...base,
+            last_written_value: current.value || null,
+            conflict_value: null,
+            app_value: null,
+            conflict_detected_at: null,
+        });
+        return { status: "unchanged", productId: productGid, grades: appGrades };
+    }
+
+    const lastWritten = state ? parseGradeMetafieldValue(state.last_written_value) : [];
+    const editedInShopify = gradesKey(shopifyGrades) !== gradesKey(lastWritten);
+
+    if (editedInShopify && !force) {
+        await saveState(supabase, shop, productGid, {
+            ...base,
+            conflict_value: current.value || null,
+            app_value: JSON.stringify(appGrades),
+            conflict_detected_at: state?.conflict_detected_at || new Date().toISOString(),
+        });
+        return { status: "conflict", productId: productGid, shopifyGrades, appGrades };
+    }
+
+    const written = await writeGradeMetafield(admin, productGid, appGrades);
+
+    await saveState(supabase, shop, productGid, {
+        ...base,
+        last_written_value: written || null,
+        last_written_at: new Date().toISOString(),
+        conflict_value: null,
+        app_value: null,
+        conflict_detected_at: null,
+    });
+
+    return { status: "written", productId: productGid, grades: appGrades };
+}
+
+/**
+ * pushGradeMetafield for each product when write-back is enabled in Settings.
+ * The mappings are already saved, so a failing product is reported as
+ * { status: "error" } rather than thrown. Returns [] when write-back is off.
+ */
+export async function pushGradeMetafieldsIfEnabled(admin, supabase, shop, productIds) {
+    if (!(await getShopSettings(supabase, shop)).grade_metafield_sync) return [];
+
+    const results = [];
+    for (const productId of new Set(productIds.map(toProductGid).filter(Boolean))) {
+        try {
+            results.push(await pushGradeMetafield(admin, supabase, shop, productId));
+        } catch (e) {
+            results.push({ status: "error", productId, error: e?.message || String(e) });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Keep the value edited in Shopify: it becomes the new baseline and the
+ * conflict is cleared. The next save writes the mapped grades again.
+ */
+export async function acceptShopifyGrades(supabase, shop, productId) {
+    const productGid = toProductGid(productId);
+
+    const { data: state, error } = await supabase
+        .from(STATE_TABLE)
+        .select("conflict_value")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!state) throw new Error("No grade conflict for this product");
+
+    await saveState(supabase, shop, productGid, {
+        last_written_value: state.conflict_value,
+        conflict_value: null,
+        app_value: null,
+        conflict_detected_at: null,
+    });
+}
+
+export async function getGradeMetafieldConflicts(supabase, shop, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+        .from(STATE_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .not("conflict_detected_at", "is", null)
+        .order("conflict_detected_at", { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    return (data || []).map((row) => ({
+        productId: row.shopify_product_id,
+        title: row.product_title || "",
+        handle: row.product_handle || "",
+        shopifyGrades: parseGradeMetafieldValue(row.conflict_value),
+        appGrades: parseGradeMetafieldValue(row.app_value),
+        detectedAt: row.conflict_detected_at,
+    }));
+}
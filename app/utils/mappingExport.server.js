@@ -0,0 +1,182 @@
+// app/utils/mappingExport.server.js
+// Export of product_grade_collection per school/grade as CSV or XLSX rows.
+
+import ExcelJS from "exceljs";
+import { getSchools } from "./schools.server";
+import { getGradeCatalog, hasAllGrades } from "./schoolGrades.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const MASTER_TABLE = "master database colours";
+const MANUAL_SORT_TABLE = "product_sort_order";
+
+const PAGE_SIZE = 1000;
+
+export const EXPORT_HEADERS = [
+    "School",
+    "Product title",
+    "Handle",
+    "Grades",
+    "Sizes",
+    "Size type",
+    "Size range",
+    "Age Size Range",
+    "Sort position",
+];
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function splitGrades(value) {
+    return cleanText(value)
+        .split(",")
+        .map(cleanText)
+        .filter(Boolean);
+}
+
+async function fetchAll(buildQuery) {
+    const all = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+
+        all.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return all;
+    }
+}
+
+async function getAgeSizeRangeByHandle(supabase, shop, handles) {
+    const map = {};
+
+    for (let i = 0; i < handles.length; i += 200) {
+        const { data, error } = await supabase
+            .from(MASTER_TABLE)
+            .select('"Handle","Age Size Range"')
+            .eq("shop", shop)
+            .in("Handle", handles.slice(i, i + 200));
+
+        if (error) throw new Error(error.message);
+
+        for (const row of data || []) {
+            const handle = cleanText(row?.Handle).toLowerCase();
+            if (handle && !map[handle]) map[handle] = cleanText(row?.["Age Size Range"]);
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Manual sort positions per school, following the proxy: the grade row is
+ * used only when it overrides the school default.
+ */
+async function getSortPositionResolver(supabase, shop, grade) {
+    const { data, error } = await supabase
+        .from(MANUAL_SORT_TABLE)
+        .select("school_id, grade, product_order, grade_override")
+        .eq("shop", shop)
+        .eq("status", 1);
+
+    if (error) throw new Error(error.message);
+
+    const byKey = new Map();
+    for (const row of data || []) {
+        const handles = (row?.product_order?.handles || []).map((h) => cleanText(h).toLowerCase());
+        byKey.set(`${row.school_id}|${cleanText(row.grade)}`, { handles, override: !!row.grade_override });
+    }
+
+    return (collectionId, handle) => {
+        const gradeRow = grade ? byKey.get(`${collectionId}|${grade}`) : null;
+        const row = gradeRow?.override ? gradeRow : byKey.get(`${collectionId}|`);
+        const idx = row ? row.handles.indexOf(cleanText(handle).toLowerCase()) : -1;
+
+        return idx === -1 ? "" : idx + 1;
+    };
+}
+
+/**
+ * Rows for EXPORT_HEADERS, filtered by school collection, grade and size type,
+ * ordered by school then sort position.
+ */
+export async function buildMappingExportRows(supabase, shop, { collectionId = "", grade = "", sizeType = "" } = {}) {
+    const safeGrade = cleanText(grade);
+
+    const mappings = await fetchAll(() => {
+        let query = supabase
+            .from(EXTERNAL_TABLE)
+            .select("collection_id, product_title, product_handle, grade, all_grades, size, size_type, size_range")
+            .eq("shop", shop)
+            .is("deleted_at", null)
+            .order("id", { ascending: true });
+
+        if (cleanText(collectionId)) query = query.eq("collection_id", cleanText(collectionId));
+        if (cleanText(sizeType)) query = query.eq("size_type", cleanText(sizeType));
+
+        return query;
+    });
+
+    // Ranges and "all grades" rows match every grade they cover
+    const gradeCatalog = safeGrade ? await getGradeCatalog(supabase, shop) : null;
+    const filtered = safeGrade
+        ? mappings.filter(
+              (r) =>
+                  (hasAllGrades(r) && gradeCatalog.hasList(r.collection_id)) ||
+                  gradeCatalog
+                      .expand(r.collection_id, r.grade)
+                      .some((g) => g.toLowerCase() === safeGrade.toLowerCase())
+          )
+        : mappings;
+
+    const schools = await getSchools(supabase, shop, { includeInactive: true });
+    const schoolNameById = Object.fromEntries(schools.map((s) => [s.collection_id, s.display_name]));
+
+    const handles = [...new Set(filtered.map((r) => cleanText(r.product_handle)).filter(Boolean))];
+    const ageSizeRange = await getAgeSizeRangeByHandle(supabase, shop, handles);
+    const sortPosition = await getSortPositionResolver(supabase, shop, safeGrade);
+
+    const rows = filtered.map((r) => {
+        const school = schoolNameById[r.collection_id] || r.collection_id || "";
+
+        return [
+            school,
+            r.product_title || "",
+            r.product_handle || "",
+            hasAllGrades(r) ? "All grades" : splitGrades(r.grade).join(", "),
+            Array.isArray(r.size) ? r.size.join(", ") : cleanText(r.size),
+            r.size_type || "",
+            r.size_range || "",
+            ageSizeRange[cleanText(r.product_handle).toLowerCase()] || "",
+            sortPosition(r.collection_id, r.product_handle),
+        ];
+    });
+
+    // Unsorted products go after the sorted ones, by title
+    return rows.sort(
+        (a, b) =>
+            a[0].localeCompare(b[0]) ||
+            (a[8] || Infinity) - (b[8] || Infinity) ||
+            a[1].localeCompare(b[1])
+    );
+}
+
+/**
+ * Build an XLSX workbook and return it base64 encoded for the browser.
+ */
+export async function toXlsxBase64(headers, rows, { sheetName = "Mappings" } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+
+    sheet.addRow(headers).font = { bold: true };
+    for (const row of rows) sheet.addRow(row);
+
+    sheet.columns.forEach((col, i) => {
+        const longest = Math.max(...[headers, ...rows].map((r) => String(r[i] ?? "").length));
+        col.width = Math.min(60, Math.max(10, longest + 2));
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    return Buffer.from(buffer).toString("base64");
+}
@@ -0,0 +1,219 @@
+// app/utils/mappingHistory.server.js
+// Append-only history of product_grade_collection changes, with revert.
+
+import { invalidateProxyCache } from "./proxyCache.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const HISTORY_TABLE = "mapping_history";
+
+const PAGE_SIZE = 1000;
+
+// Bookkeeping columns that never make a change on their own
+const IGNORED_FIELDS = new Set(["id", "created_at", "updated_at"]);
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function keyOf(row) {
+    return `${row.shopify_product_id}|${row.collection_id}`;
+}
+
+function isLive(row) {
+    return !!row && !row.deleted_at;
+}
+
+function sameRow(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)].filter((f) => !IGNORED_FIELDS.has(f)));
+    return [...fields].every((f) => JSON.stringify(a[f] ?? null) === JSON.stringify(b[f] ?? null));
+}
+
+/**
+ * Who made an admin change: the staff member's email on online sessions,
+ * otherwise the user id from the embedded session token.
+ */
+export function adminHistorySource({ session, sessionToken } = {}) {
+    const email = session?.onlineAccessInfo?.associated_user?.email;
+    const userId = cleanText(sessionToken?.sub);
+
+    return { source: "admin", sourceRef: email || (userId ? `user:${userId}` : null) };
+}
+
+async function readMappingRows(supabase, shop, { productIds, collectionId }) {
+    const rows = [];
+    const chunks = [];
+
+    if (productIds) {
+        for (let i = 0; i < productIds.length; i += 200) chunks.push(productIds.slice(i, i + 200));
+    } else {
+        chunks.push(null);
+    }
+
+    for (const ids of chunks) {
+        for (let from = 0; ; from += PAGE_SIZE) {
+            let query = supabase.from(EXTERNAL_TABLE).select("*").eq("shop", shop);
+
+            if (ids) query = query.in("shopify_product_id", ids);
+            if (collectionId) query = query.eq("collection_id", collectionId);
+
+            const { data, error } = await query.order("id", { ascending: true }).range(from, from + PAGE_SIZE - 1);
+            if (error) throw new Error(error.message);
+
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * One history entry per mapping that differs between two snapshots.
+ * Soft-deleted rows count as absent.
+ */
+export function diffMappingRows(beforeRows, afterRows) {
+    const before = new Map(beforeRows.filter(isLive).map((r) => [keyOf(r), r]));
+    const after = new Map(afterRows.filter(isLive).map((r) => [keyOf(r), r]));
+    const entries = [];
+
+    for (const [key, row] of after) {
+        const prev = before.get(key);
+        if (!prev) entries.push({ action: "insert", before: null, after: row });
+        else if (!sameRow(prev, row)) entries.push({ action: "update", before: prev, after: row });
+    }
+
+    for (const [key, row] of before) {
+        if (!after.has(key)) entries.push({ action: "delete", before: row, after: null });
+    }
+
+    return entries;
+}
+
+/**
+ * Snapshot the mappings in scope ({ productIds } or { collectionId }) before a
+ * write; record() snapshots them again, appends the differences and, when
+ * anything changed, invalidates the storefront proxy cache. History failures
+ * are logged rather than failing a write that already happened.
+ */
+export async function startMappingHistory(supabase, shop, scope, { source, sourceRef = null }) {
+    const safeScope = scope.productIds ? { ...scope, productIds: [...new Set(scope.productIds.filter(Boolean))] } : scope;
+    const before = await readMappingRows(supabase, shop, safeScope);
+
+    return {
+        async record() {
+            try {
+                const after = await readMappingRows(supabase, shop, safeScope);
+                const entries = diffMappingRows(before, after);
+                if (!entries.length) return 0;
+
+                await invalidateProxyCache(shop);
+
+                const { error } = await supabase.from(HISTORY_TABLE).insert(
+                    entries.map((e) => {
+                        const row = e.after || e.before;
+
+                        return {
+                            shop,
+                            shopify_product_id: row.shopify_product_id,
+                            collection_id: row.collection_id,
+                            action: e.action,
+                            before: e.before,
+                            after: e.after,
+                            source,
+                            source_ref: sourceRef ? String(sourceRef) : null,
+                        };
+                    })
+                );
+
+                if (error) throw new Error(error.message);
+
+                return entries.length;
+            } catch (e) {
+                console.error(`Failed to record mapping history for ${shop}:`, e);
+                return 0;
+            }
+        },
+    };
+}
+
+/**
+ * History of one product's mappings, newest first.
+ */
+export async function getMappingHistory(supabase, shop, productId, { limit = 100 } = {}) {
+    const { data, error } = await supabase
+        .from(HISTORY_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productId)
+        .order("id", { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    return data || [];
+}
+
+/**
+ * Put a product's mappings back the way they were right after history entry
+ * `entryId`. Schools with no history at all are left alone. The revert is
+ * itself recorded, so it can be reverted too.
+ */
+export async function revertMappingsToEntry(supabase, shop, productId, entryId, { sourceRef = null } = {}) {
+    const { data: entries, error } = await supabase
+        .from(HISTORY_TABLE)
+        .select("id, collection_id, before, after")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productId)
+        .order("id", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const targetId = Number(entryId);
+    if (!(entries || []).some((e) => e.id === targetId)) throw new Error("History entry not found");
+
+    // State per school as of the target entry: the last `after` up to it, or
+    // else the `before` of the first later change (null = no mapping)
+    const stateByCollection = new Map();
+    for (const e of entries) {
+        if (e.id <= targetId) stateByCollection.set(e.collection_id, e.after);
+        else if (!stateByCollection.has(e.collection_id)) stateByCollection.set(e.collection_id, e.before);
+    }
+
+    const restore = [];
+    const remove = [];
+
+    for (const [collectionId, row] of stateByCollection) {
+        if (!row) remove.push(collectionId);
+        else {
+            const fields = { ...row };
+            delete fields.id;
+            delete fields.created_at;
+            restore.push({ ...fields, deleted_at: null, updated_at: new Date().toISOString() });
+        }
+    }
+
+    const history = await startMappingHistory(supabase, shop, { productIds: [productId] }, { source: "revert", sourceRef });
+
+    if (remove.length) {
+        const { error: delErr } = await supabase
+            .from(EXTERNAL_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .eq("shopify_product_id", productId)
+            .in("collection_id", remove);
+
+        if (delErr) throw new Error(delErr.message);
+    }
+
+    if (restore.length) {
+        const { error: upErr } = await supabase
+            .from(EXTERNAL_TABLE)
+            .upsert(restore, { onConflict: "shop,shopify_product_id,collection_id" });
+
+        if (upErr) throw new Error(upErr.message);
+    }
+
+    const recorded = await history.record();
+
+    return { restored: restore.length, removedCollectionIds: remove, recorded };
+}
@@ -0,0 +1,393 @@
+// app/utils/mappingImport.server.js
+// CSV import of product -> school/grade mappings, with a rollback snapshot.
+
+import { parseCsv } from "./csv";
+import { getSchools } from "./schools.server";
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { fetchProductsByHandles } from "./syncGrades.server";
+import { getGradeCatalog, hasAllGrades, isAllGradesValue } from "./schoolGrades.server";
+import { startMappingHistory } from "./mappingHistory.server";
+import { pushGradeMetafieldsIfEnabled } from "./gradeMetafield.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const RUNS_TABLE = "mapping_import_runs";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Header aliases -> field; headers are matched case-insensitively
+const COLUMNS = {
+    handle: "handle",
+    "product handle": "handle",
+    school: "school",
+    collection: "school",
+    grade: "grade",
+    size: "sizes",
+    sizes: "sizes",
+    "size range": "size_range",
+    size_range: "size_range",
+    "size type": "size_type",
+    size_type: "size_type",
+};
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function splitSizes(value) {
+    return [...new Set(cleanText(value).split(/[,;|]/).map(cleanText).filter(Boolean))];
+}
+
+function gradeText(row) {
+    return hasAllGrades(row) ? "All grades" : cleanText(row.grade) || "—";
+}
+
+function sameSizes(a, b) {
+    const x = (a || []).map((s) => cleanText(s).toLowerCase()).sort();
+    const y = (b || []).map((s) => cleanText(s).toLowerCase()).sort();
+    return x.length === y.length && x.every((s, i) => s === y[i]);
+}
+
+/**
+ * Turn CSV text into { field: value } rows keyed by the known columns.
+ * `line` is the 1-based line in the file (the header is line 1).
+ */
+export function parseImportCsv(text) {
+    const [header, ...body] = parseCsv(text);
+    if (!header) throw new Error("The file is empty");
+
+    const fields = header.map((h) => COLUMNS[cleanText(h).toLowerCase()] || null);
+
+    for (const required of ["handle", "school"]) {
+        if (!fields.includes(required)) throw new Error(`Missing "${required}" column`);
+    }
+
+    if (body.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Too many rows (${body.length}); the limit is ${MAX_IMPORT_ROWS}`);
+    }
+
+    return body.map((cells, i) => {
+        const row = { line: i + 2 };
+
+        fields.forEach((field, col) => {
+            if (field && row[field] === undefined) row[field] = cleanText(cells[col]);
+        });
+
+        return row;
+    });
+}
+
+function buildSchoolResolver(schools) {
+    const byKey = new Map();
+
+    for (const s of schools) {
+        for (const key of [s.collection_id, s.display_name, s.shopify_tag, s.master_school_name]) {
+            const k = cleanText(key).toLowerCase();
+            if (k && !byKey.has(k)) byKey.set(k, s);
+        }
+    }
+
+    return (value) => {
+        const raw = cleanText(value);
+        const numericGid = /^\d+$/.test(raw) ? `gid://shopify/Collection/${raw}` : raw;
+        return byKey.get(numericGid.toLowerCase()) || null;
+    };
+}
+
+async function fetchCollectionsByIds(admin, ids) {
+    const out = new Map();
+    if (!ids.length) return out;
+
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      query ImportCollections($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Collection { id title handle }
+        }
+      }
+    `,
+        { ids }
+    );
+
+    for (const node of json?.data?.nodes || []) {
+        if (node?.id) out.set(node.id, { title: node.title || "", handle: node.handle || "" });
+    }
+
+    return out;
+}
+
+async function getExistingMappings(supabase, shop, productIds) {
+    const out = new Map();
+
+    for (let i = 0; i < productIds.length; i += 200) {
+        const { data, error } = await supabase
+            .from(EXTERNAL_TABLE)
+            .select("*")
+            .eq("shop", shop)
+            .in("shopify_product_id", productIds.slice(i, i + 200));
+
+        if (error) throw new Error(error.message);
+
+        for (const r of data || []) out.set(`${r.shopify_product_id}|${r.collection_id}`, r);
+    }
+
+    return out;
+}
+
+/**
+ * Validate every CSV row against Shopify and the school registry.
+ * Each row comes back with action "insert" | "update" | "unchanged" | "error",
+ * and accepted rows carry the record that applying would upsert.
+ * Blank grade/size cells keep the existing value of an updated mapping; a
+ * grade of "All" sets the all-grades flag.
+ */
+export async function buildImportPreview(admin, supabase, shop, text) {
+    const parsed = parseImportCsv(text);
+
+    const schools = await getSchools(supabase, shop);
+    const resolveSchool = buildSchoolResolver(schools);
+
+    const productsByHandle = await fetchProductsByHandles(
+        admin,
+        parsed.map((r) => r.handle).filter(Boolean)
+    );
+
+    const gradeCatalog = await getGradeCatalog(supabase, shop);
+
+    const collectionIds = [...new Set(parsed.map((r) => resolveSchool(r.school)?.collection_id).filter(Boolean))];
+    const collections = await fetchCollectionsByIds(admin, collectionIds);
+
+    const existing = await getExistingMappings(
+        supabase,
+        shop,
+        [...new Set(Array.from(productsByHandle.values()).map((p) => p.id))]
+    );
+
+    const seen = new Map();
+    const now = new Date().toISOString();
+
+    const rows = parsed.map((r) => {
+        const out = { line: r.line, handle: r.handle, school: r.school, grade: r.grade || "", sizes: r.sizes || "" };
+        const fail = (message) => ({ ...out, action: "error", message });
+
+        if (!r.handle) return fail("Missing handle");
+        if (!r.school) return fail("Missing school");
+
+        const school = resolveSchool(r.school);
+        if (!school) return fail(`Unknown school "${r.school}"`);
+
+        const collection = collections.get(school.collection_id);
+        if (!collection) return fail(`Collection for ${school.display_name} not found in Shopify`);
+
+        const product = productsByHandle.get(r.handle.toLowerCase());
+        if (!product) return fail(`No Shopify product with handle "${r.handle}"`);
+
+        const { grades, unknown } = gradeCatalog.canonicalize(school.collection_id, r.grade);
+        const allGrades = isAllGradesValue(r.grade);
+        if (unknown.length) return fail(`Not a ${school.display_name} grade: ${unknown.join(", ")}`);
+
+        const key = `${product.id}|${school.collection_id}`;
+        if (seen.has(key)) return fail(`Duplicate of line ${seen.get(key)}`);
+        seen.set(key, r.line);
+
+        const sizes = splitSizes(r.sizes);
+        if (sizes.length && product.sizes.length) {
+            const allowed = new Set(product.sizes.map((s) => s.toLowerCase()));
+            const unknownSizes = sizes.filter((s) => !allowed.has(s.toLowerCase()));
+            if (unknownSizes.length) return fail(`Not a size of this product: ${unknownSizes.join(", ")}`);
+        }
+
+        const prev = existing.get(key);
+        const live = prev && !prev.deleted_at ? prev : null;
+
+        const record = {
+            shop,
+            shopify_product_id: product.id,
+            product_title: product.title || null,
+            product_handle: product.handle || null,
+            collection_id: school.collection_id,
+            collection_title: collection.title || null,
+            collection_handle: collection.handle || null,
+            school_tag: cleanText(prev?.school_tag) || school.shopify_tag || null,
+            grade: grades.length || allGrades ? grades.join(",") || null : live ? live.grade : null,
+            all_grades: allGrades || (!grades.length && live ? hasAllGrades(live) : false),
+            size: sizes.length ? sizes : live ? live.size || [] : [],
+            size_range: r.size_range || (live ? live.size_range : null),
+            size_type: r.size_type || (live ? live.size_type : null),
+            deleted_at: null,
+            updated_at: now,
+        };
+
+        const accepted = { ...out, school: school.display_name, productId: product.id, record };
+
+        if (!live) return { ...accepted, action: "insert", message: "" };
+
+        const changed =
+            cleanText(live.grade) !== cleanText(record.grade) ||
+            hasAllGrades(live) !== record.all_grades ||
+            !sameSizes(live.size, record.size) ||
+            cleanText(live.size_range) !== cleanText(record.size_range) ||
+            cleanText(live.size_type) !== cleanText(record.size_type);
+
+        return {
+            ...accepted,
+            action: changed ? "update" : "unchanged",
+            message: changed ? `Grade ${gradeText(live)} → ${gradeText(record)}` : "",
+            previous: prev,
+        };
+    });
+
+    const summary = { insert: 0, update: 0, unchanged: 0, error: 0 };
+    for (const r of rows) summary[r.action] += 1;
+
+    return { rows, summary };
+}
+
+// Conflicts and failures from the custom.grade write-back, for the page to report
+function gradeMetafieldIssues(results) {
+    return results.filter((r) => r.status === "conflict" || r.status === "error");
+}
+
+/**
+ * Upsert every insert/update row in one request, after storing the rows they
+ * replace so the whole import can be rolled back.
+ */
+export async function applyMappingImport(admin, supabase, shop, text, { filename = "" } = {}) {
+    const { rows, summary } = await buildImportPreview(admin, supabase, shop, text);
+    const accepted = rows.filter((r) => r.action === "insert" || r.action === "update");
+
+    if (!accepted.length) throw new Error("Nothing to import");
+
+    const { data: run, error: runErr } = await supabase
+        .from(RUNS_TABLE)
+        .insert({
+            shop,
+            filename: cleanText(filename) || null,
+            status: "applying",
+            summary,
+            // Rows as they were before the import (including soft-deleted ones)
+            snapshot: accepted.filter((r) => r.previous).map((r) => r.previous),
+            inserted_keys: accepted
+                .filter((r) => !r.previous)
+                .map((r) => ({ shopify_product_id: r.record.shopify_product_id, collection_id: r.record.collection_id })),
+        })
+        .select("*")
+        .single();
+
+    if (runErr) throw new Error(runErr.message);
+
+    const history = await startMappingHistory(
+        supabase,
+        shop,
+        { productIds: accepted.map((r) => r.record.shopify_product_id) },
+        { source: "import", sourceRef: `run ${run.id}` }
+    );
+
+    const { error: upErr } = await supabase
+        .from(EXTERNAL_TABLE)
+        .upsert(
+            accepted.map((r) => r.record),
+            { onConflict: "shop,shopify_product_id,collection_id" }
+        );
+
+    if (!upErr) await history.record();
+
+    const { data: finished, error: finishErr } = await supabase
+        .from(RUNS_TABLE)
+        .update({
+            status: upErr ? "failed" : "applied",
+            error_message: upErr ? upErr.message : null,
+            applied_at: upErr ? null : new Date().toISOString(),
+        })
+        .eq("id", run.id)
+        .select("*")
+        .single();
+
+    if (upErr) throw new Error(upErr.message);
+    if (finishErr) throw new Error(finishErr.message);
+
+    const gradeMetafields = await pushGradeMetafieldsIfEnabled(
+        admin,
+        supabase,
+        shop,
+        accepted.map((r) => r.record.shopify_product_id)
+    );
+
+    return { ...finished, gradeMetafieldIssues: gradeMetafieldIssues(gradeMetafields) };
+}
+
+/**
+ * Undo an applied import: delete the mappings it inserted and restore the
+ * rows it overwrote.
+ */
+export async function rollbackMappingImport(admin, supabase, shop, runId) {
+    const { data: run, error } = await supabase
+        .from(RUNS_TABLE)
+        .select("*")
+        .eq("shop", shop)
+        .eq("id", runId)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!run) throw new Error("Import not found");
+    if (run.status !== "applied") throw new Error(`Only applied imports can be rolled back (this one is ${run.status})`);
+
+    const snapshot = Array.isArray(run.snapshot) ? run.snapshot : [];
+    const productIds = [
+        ...(run.inserted_keys || []).map((k) => k.shopify_product_id),
+        ...snapshot.map((r) => r.shopify_product_id),
+    ];
+    const history = await startMappingHistory(
+        supabase,
+        shop,
+        { productIds },
+        { source: "import", sourceRef: `rollback of run ${run.id}` }
+    );
+
+    for (const key of run.inserted_keys || []) {
+        const { error: delErr } = await supabase
+            .from(EXTERNAL_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .eq("shopify_product_id", key.shopify_product_id)
+            .eq("collection_id", key.collection_id);
+
+        if (delErr) throw new Error(delErr.message);
+    }
+
+    if (snapshot.length) {
+        const { error: restoreErr } = await supabase
+            .from(EXTERNAL_TABLE)
+            .upsert(snapshot, { onConflict: "shop,shopify_product_id,collection_id" });
+
+        if (restoreErr) throw new Error(restoreErr.message);
+    }
+
+    await history.record();
+
+    const { data: updated, error: updErr } = await supabase
+        .from(RUNS_TABLE)
+        .update({ status: "rolled_back", rolled_back_at: new Date().toISOString() })
+        .eq("id", run.id)
+        .select("*")
+        .single();
+
+    if (updErr) throw new Error(updErr.message);
+
+    const gradeMetafields = await pushGradeMetafieldsIfEnabled(admin, supabase, shop, productIds);
+
+    return { ...updated, gradeMetafieldIssues: gradeMetafieldIssues(gradeMetafields) };
+}
+
+export async function getMappingImportRuns(supabase, shop, { limit = 20 } = {}) {
+    const { data, error } = await supabase
+        .from(RUNS_TABLE)
+        .select("id, filename, status, summary, error_message, created_at, applied_at, rolled_back_at")
+        .eq("shop", shop)
+        .order("id", { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    return data || [];
+}
@@ -0,0 +1,128 @@
+// app/utils/productCards.server.js
+// Product card data for the storefront proxy, fetched in bulk from the Admin API.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+
+// A card with 25 variants costs about 60 points, so 15 fit under the 1000 point
+// query limit; products with more variants page the rest separately
+const CARDS_PER_QUERY = 15;
+const VARIANTS_PER_CARD = 25;
+
+const VARIANT_FIELDS = "id title price compareAtPrice availableForSale selectedOptions { name value }";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function numericId(gid) {
+    const id = cleanText(gid).split("/").pop();
+    return /^\d+$/.test(id) ? Number(id) : null;
+}
+
+function toCard(node, variants) {
+    const image = node.featuredMedia?.preview?.image || null;
+
+    return {
+        id: numericId(node.id),
+        handle: node.handle,
+        title: node.title || "",
+        vendor: node.vendor || "",
+        url: node.onlineStoreUrl || `/products/${node.handle}`,
+        price_min: node.priceRangeV2?.minVariantPrice?.amount ?? null,
+        price_max: node.priceRangeV2?.maxVariantPrice?.amount ?? null,
+        currency: node.priceRangeV2?.minVariantPrice?.currencyCode || null,
+        featured_image: image ? { url: image.url, alt: image.altText || "", width: image.width, height: image.height } : null,
+        available: variants.some((v) => v.availableForSale),
+        options: (node.options || []).map((o) => ({ name: o.name, values: (o.optionValues || []).map((v) => v.name) })),
+        variants: variants.map((v) => ({
+            id: numericId(v.id),
+            title: v.title || "",
+            price: v.price ?? null,
+            compare_at_price: v.compareAtPrice ?? null,
+            available: !!v.availableForSale,
+            options: (v.selectedOptions || []).map((o) => o.value),
+        })),
+    };
+}
+
+async function fetchRemainingVariants(admin, productId, after) {
+    const variants = [];
+    let cursor = after;
+
+    while (cursor) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+          query ProxyProductCardVariants($id: ID!, $after: String) {
+            product(id: $id) {
+              variants(first: 250, after: $after) {
+                nodes { ${VARIANT_FIELDS} }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        `,
+            { id: productId, after: cursor }
+        );
+
+        const conn = json?.data?.product?.variants;
+        variants.push(...(conn?.nodes || []));
+        cursor = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+    }
+
+    return variants;
+}
+
+/**
+ * Cards for active products published to the Online Store, keyed by product
+ * GID. Draft, archived, unpublished and deleted products are left out.
+ */
+export async function fetchProductCards(admin, productIds) {
+    const ids = [...new Set(productIds.map(cleanText).filter(Boolean))];
+    const cards = new Map();
+
+    for (let i = 0; i < ids.length; i += CARDS_PER_QUERY) {
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+          query ProxyProductCards($ids: [ID!]!, $variants: Int!) {
+            nodes(ids: $ids) {
+              ... on Product {
+                id
+                handle
+                title
+                vendor
+                status
+                onlineStoreUrl
+                priceRangeV2 {
+                  minVariantPrice { amount currencyCode }
+                  maxVariantPrice { amount currencyCode }
+                }
+                featuredMedia { preview { image { url altText width height } } }
+                options { name optionValues { name } }
+                variants(first: $variants) {
+                  nodes { ${VARIANT_FIELDS} }
+                  pageInfo { hasNextPage endCursor }
+                }
+              }
+            }
+          }
+        `,
+            { ids: ids.slice(i, i + CARDS_PER_QUERY), variants: VARIANTS_PER_CARD }
+        );
+
+        for (const node of json?.data?.nodes || []) {
+            // onlineStoreUrl is null unless the product is published to the Online Store
+            if (!node?.id || node.status !== "ACTIVE" || !node.onlineStoreUrl) continue;
+
+            const variants = [...(node.variants?.nodes || [])];
+            if (node.variants?.pageInfo?.hasNextPage) {
+                variants.push(...(await fetchRemainingVariants(admin, node.id, node.variants.pageInfo.endCursor)));
+            }
+
+            cards.set(node.id, toCard(node, variants));
+        }
+    }
+
+    return cards;
+}
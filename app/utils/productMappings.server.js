@@ -0,0 +1,267 @@
+// app/utils/productMappings.server.js
+// Keeps the copied product / collection fields in Supabase in step with Shopify.
+
+import { startMappingHistory } from "./mappingHistory.server";
+import { invalidateProxyCache } from "./proxyCache.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const MANUAL_SORT_TABLE = "product_sort_order";
+const SETTINGS_TABLE = "settings";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function toGid(type, id) {
+    const raw = cleanText(id);
+    if (!raw) return "";
+
+    if (raw.startsWith(`gid://shopify/${type}/`)) return raw;
+    if (/^\d+$/.test(raw)) return `gid://shopify/${type}/${raw}`;
+
+    return raw;
+}
+
+export function toProductGid(id) {
+    return toGid("Product", id);
+}
+
+export function toCollectionGid(id) {
+    return toGid("Collection", id);
+}
+
+/**
+ * Rewrite handles inside every manual sort row of a shop.
+ * `replacements` maps old handle -> new handle, or -> null to drop it.
+ */
+export async function replaceHandlesInSortOrders(supabase, shop, replacements) {
+    if (!replacements || replacements.size === 0) return 0;
+
+    const { data: rows, error } = await supabase
+        .from(MANUAL_SORT_TABLE)
+        .select("school_id, grade, product_order")
+        .eq("shop", shop);
+
+    if (error) throw new Error(error.message);
+
+    let changedRows = 0;
+
+    for (const row of rows || []) {
+        const order = row?.product_order || {};
+        const handles = Array.isArray(order.handles) ? order.handles : [];
+
+        let changed = false;
+        const nextHandles = [];
+        const seen = new Set();
+
+        for (const h of handles) {
+            const key = cleanText(h);
+            let next = key;
+
+            if (replacements.has(key)) {
+                next = replacements.get(key);
+                changed = true;
+            }
+
+            if (!next || seen.has(next)) continue;
+            seen.add(next);
+            nextHandles.push(next);
+        }
+
+        let nextGradeByHandle = order.gradeByHandle;
+        if (order.gradeByHandle && typeof order.gradeByHandle === "object") {
+            nextGradeByHandle = {};
+            for (const [h, g] of Object.entries(order.gradeByHandle)) {
+                if (!replacements.has(h)) {
+                    nextGradeByHandle[h] = g;
+                    continue;
+                }
+
+                changed = true;
+                const next = replacements.get(h);
+                if (next) nextGradeByHandle[next] = g;
+            }
+        }
+
+        if (!changed) continue;
+
+        const { error: updErr } = await supabase
+            .from(MANUAL_SORT_TABLE)
+            .update({
+                product_order: {
+                    ...order,
+                    handles: nextHandles,
+                    ...(nextGradeByHandle ? { gradeByHandle: nextGradeByHandle } : {}),
+                },
+                updated: new Date().toISOString(),
+            })
+            .eq("shop", shop)
+            .eq("school_id", row.school_id)
+            .eq("grade", row.grade);
+
+        if (updErr) throw new Error(updErr.message);
+        changedRows += 1;
+    }
+
+    return changedRows;
+}
+
+/**
+ * products/update: refresh the copied title and handle.
+ */
+export async function renameProductInMappings(supabase, shop, { productId, title, handle }) {
+    const productGid = toProductGid(productId);
+    const newTitle = cleanText(title);
+    const newHandle = cleanText(handle);
+
+    if (!productGid) return { updatedRows: 0 };
+
+    const { data: rows, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("id, product_title, product_handle")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .is("deleted_at", null);
+
+    if (error) throw new Error(error.message);
+    if (!rows?.length) return { updatedRows: 0 };
+
+    const stale = rows.filter(
+        (r) =>
+            (newTitle && cleanText(r.product_title) !== newTitle) ||
+            (newHandle && cleanText(r.product_handle) !== newHandle)
+    );
+
+    if (!stale.length) return { updatedRows: 0 };
+
+    const update = { updated_at: new Date().toISOString() };
+    if (newTitle) update.product_title = newTitle;
+    if (newHandle) update.product_handle = newHandle;
+
+    const history = await startMappingHistory(
+        supabase,
+        shop,
+        { productIds: [productGid] },
+        { source: "webhook", sourceRef: "products/update" }
+    );
+
+    const { error: updErr } = await supabase
+        .from(EXTERNAL_TABLE)
+        .update(update)
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .is("deleted_at", null);
+
+    if (updErr) throw new Error(updErr.message);
+
+    await history.record();
+
+    const replacements = new Map();
+    if (newHandle) {
+        for (const r of rows) {
+            const oldHandle = cleanText(r.product_handle);
+            if (oldHandle && oldHandle !== newHandle) replacements.set(oldHandle, newHandle);
+        }
+    }
+
+    if (replacements.size) {
+        // sibling rows that resolved their school through the old handle
+        for (const [oldHandle] of replacements) {
+            const { error: parentErr } = await supabase
+                .from(EXTERNAL_TABLE)
+                .update({ parent_handel: newHandle })
+                .eq("shop", shop)
+                .eq("parent_handel", oldHandle);
+
+            if (parentErr) throw new Error(parentErr.message);
+        }
+
+        await replaceHandlesInSortOrders(supabase, shop, replacements);
+    }
+
+    return {
+        updatedRows: rows.length,
+        renamedFrom: Array.from(replacements.keys()),
+    };
+}
+
+/**
+ * products/delete: soft-delete the mappings and drop the handle from manual sorts.
+ */
+export async function softDeleteProductMappings(supabase, shop, productId) {
+    const productGid = toProductGid(productId);
+    if (!productGid) return { deletedRows: 0 };
+
+    const history = await startMappingHistory(
+        supabase,
+        shop,
+        { productIds: [productGid] },
+        { source: "webhook", sourceRef: "products/delete" }
+    );
+
+    const { data: rows, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .update({
+            deleted_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+        })
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .is("deleted_at", null)
+        .select("product_handle");
+
+    if (error) throw new Error(error.message);
+
+    await history.record();
+
+    const replacements = new Map();
+    for (const r of rows || []) {
+        const h = cleanText(r?.product_handle);
+        if (h) replacements.set(h, null);
+    }
+
+    await replaceHandlesInSortOrders(supabase, shop, replacements);
+
+    return { deletedRows: (rows || []).length };
+}
+
+/**
+ * collections/update: refresh the copied collection title and handle.
+ */
+export async function updateCollectionInMappings(supabase, shop, { collectionId, title, handle }) {
+    const collectionGid = toCollectionGid(collectionId);
+    const newTitle = cleanText(title);
+    const newHandle = cleanText(handle);
+
+    if (!collectionGid || (!newTitle && !newHandle)) return { updatedRows: 0 };
+
+    const mappingUpdate = { updated_at: new Date().toISOString() };
+    if (newTitle) mappingUpdate.collection_title = newTitle;
+    if (newHandle) mappingUpdate.collection_handle = newHandle;
+
+    const { data: updated, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .update(mappingUpdate)
+        .eq("shop", shop)
+        .eq("collection_id", collectionGid)
+        .select("id");
+
+    if (error) throw new Error(error.message);
+
+    const settingsUpdate = { updated_at: new Date().toISOString() };
+    if (newTitle) settingsUpdate.collection_title = newTitle;
+    if (newHandle) settingsUpdate.collection_handle = newHandle;
+
+    const { error: settingsErr } = await supabase
+        .from(SETTINGS_TABLE)
+        .update(settingsUpdate)
+        .eq("shop", shop)
+        .eq("collection_id", collectionGid);
+
+    if (settingsErr) throw new Error(settingsErr.message);
+
+    // the proxy resolves schools by collection handle
+    await invalidateProxyCache(shop);
+
+    return { updatedRows: (updated || []).length };
+}
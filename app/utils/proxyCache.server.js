@@ -0,0 +1,135 @@
+// app/utils/proxyCache.server.js
+// Cache of computed school-products proxy responses, invalidated per shop.
+
+import { createHash, randomUUID } from "crypto";
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+function envInt(name, fallback) {
+    const n = Number.parseInt(String(process.env[name] ?? ""), 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * In-process store: least recently used entries are dropped past maxEntries.
+ * Every store implements async get(key), set(key, value, ttlSeconds) and
+ * delete(key); ttlSeconds 0 means no expiry.
+ */
+export function createMemoryProxyCacheStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+
+            // re-insert so Map order tracks recency
+            entries.delete(key);
+            entries.set(key, entry);
+
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds = 0) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+let store = createMemoryProxyCacheStore();
+
+/**
+ * Swap in a shared store (Redis, KV...) so every app instance sees the same
+ * entries and invalidations.
+ */
+export function setProxyCacheStore(next) {
+    store = next || createMemoryProxyCacheStore();
+}
+
+function versionKey(shop) {
+    return `school-products:version:${shop}`;
+}
+
+async function getShopVersion(shop) {
+    const current = await store.get(versionKey(shop));
+    if (current) return current;
+
+    const version = randomUUID();
+    await store.set(versionKey(shop), version, 0);
+
+    return version;
+}
+
+/**
+ * Drop every cached response of a shop. Entries are keyed by a per-shop
+ * version, so a new version orphans them and they age out of the store.
+ */
+export async function invalidateProxyCache(shop) {
+    if (!shop) return;
+
+    try {
+        await store.set(versionKey(shop), randomUUID(), 0);
+    } catch (e) {
+        console.error(`Failed to invalidate proxy cache for ${shop}:`, e);
+    }
+}
+
+export function etagFor(body) {
+    return `"${createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+/**
+ * Serve keyParts from the cache, or run compute() (which returns a Response)
+ * and cache its body when the status is 200. Returns
+ * { status, body, etag, headers, cache: "HIT" | "MISS" | "BYPASS" }.
+ * PROXY_CACHE_TTL_SECONDS=0 turns caching off; ETags are still sent.
+ */
+export async function withProxyCache(shop, keyParts, compute) {
+    const ttl = envInt("PROXY_CACHE_TTL_SECONDS", DEFAULT_TTL_SECONDS);
+    let key = null;
+
+    if (ttl > 0) {
+        try {
+            key = `school-products:${shop}:${await getShopVersion(shop)}:${JSON.stringify(keyParts)}`;
+
+            const hit = await store.get(key);
+            if (hit) return { ...hit, status: 200, headers: null, cache: "HIT" };
+        } catch (e) {
+            // a failing store must not take the storefront down
+            console.error(`Proxy cache read failed for ${shop}:`, e);
+            key = null;
+        }
+    }
+
+    const response = await compute();
+    const body = await response.text();
+
+    if (response.status !== 200) {
+        return { status: response.status, body, etag: null, headers: response.headers, cache: "BYPASS" };
+    }
+
+    const etag = etagFor(body);
+
+    if (key) {
+        try {
+            await store.set(key, { body, etag }, ttl);
+        } catch (e) {
+            console.error(`Proxy cache write failed for ${shop}:`, e);
+        }
+    }
+
+    return { status: 200, body, etag, headers: response.headers, cache: key ? "MISS" : "BYPASS" };
+}
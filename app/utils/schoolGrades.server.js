@@ -0,0 +1,451 @@
+// app/utils/schoolGrades.server.js
+// Canonical grade list per school: codes, display labels, aliases and order.
+
+import { getSchools } from "./schools.server";
+import { startMappingHistory } from "./mappingHistory.server";
+
+const GRADES_TABLE = "school_grades";
+const EXTERNAL_TABLE = "product_grade_collection";
+
+const PAGE_SIZE = 1000;
+
+// Early-years grades sort before grade 1 when a school has no grade list
+const EARLY_YEARS_RANK = new Map([
+    ["pre-k", -3],
+    ["pk", -3],
+    ["tk", -2],
+    ["k", -1],
+]);
+
+// Shorthand for "every grade of the school" (stored as all_grades = true)
+const ALL_GRADES_TOKENS = new Set(["all", "all grades", "*"]);
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+/**
+ * Tidy one grade as typed: collapse spaces, drop leading zeros ("03" -> "3")
+ * and spaces around range dashes ("9 - 12" -> "9-12").
+ */
+export function normalizeGradeToken(value) {
+    return cleanText(value)
+        .replace(/\s+/g, " ")
+        .replace(/\s*-\s*/g, "-")
+        .replace(/\b0+(\d)/g, "$1");
+}
+
+/**
+ * Split a comma-separated grade value into tidy, case-insensitively unique grades.
+ */
+export function splitGradeTokens(value) {
+    const out = [];
+    const seen = new Set();
+
+    for (const part of cleanText(value).split(",")) {
+        const token = normalizeGradeToken(part);
+        if (!token || seen.has(token.toLowerCase())) continue;
+
+        seen.add(token.toLowerCase());
+        out.push(token);
+    }
+
+    return out;
+}
+
+/**
+ * True when a grade value uses the "all grades" shorthand ("All", "All grades", "*").
+ */
+export function isAllGradesValue(value) {
+    return splitGradeTokens(value).some((t) => ALL_GRADES_TOKENS.has(t.toLowerCase()));
+}
+
+/**
+ * True when a mapping row covers every grade: the all_grades flag, or a grade
+ * still written as "All" from before the flag existed.
+ */
+export function hasAllGrades(row) {
+    return row?.all_grades === true || isAllGradesValue(row?.grade);
+}
+
+function gradeRank(grade) {
+    const key = cleanText(grade).toLowerCase();
+    if (EARLY_YEARS_RANK.has(key)) return EARLY_YEARS_RANK.get(key);
+
+    const n = Number.parseInt(key, 10);
+    return Number.isNaN(n) ? Infinity : n;
+}
+
+/**
+ * Natural order for grades without a school list: Pre-K, TK, K, 1, 2 … 12,
+ * then anything else alphabetically.
+ */
+export function compareGradesNatural(a, b) {
+    const ra = gradeRank(a);
+    const rb = gradeRank(b);
+
+    if (ra !== rb) return ra - rb;
+    return cleanText(a).localeCompare(cleanText(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+function toGrade(row) {
+    return {
+        code: cleanText(row?.code),
+        label: cleanText(row?.label) || cleanText(row?.code),
+        aliases: Array.isArray(row?.aliases) ? row.aliases.map(cleanText).filter(Boolean) : [],
+        position: Number(row?.position || 0),
+    };
+}
+
+/**
+ * Grade lists of a shop's schools: collection id -> grades in display order.
+ */
+export async function getSchoolGradeLists(supabase, shop) {
+    const { data, error } = await supabase
+        .from(GRADES_TABLE)
+        .select("collection_id, code, label, aliases, position")
+        .eq("shop", shop)
+        .order("position", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const lists = {};
+    for (const row of data || []) {
+        const id = cleanText(row?.collection_id);
+        if (!id) continue;
+
+        if (!lists[id]) lists[id] = [];
+        lists[id].push(toGrade(row));
+    }
+
+    return lists;
+}
+
+/**
+ * Resolve free-text grades against the school lists.
+ *
+ * canonicalize(collectionId, value) returns { grades, unknown }: grades are the
+ * list codes, and ranges such as "K-5" between two codes, in list order. Ranges
+ * are stored as written and only expanded when read, so a grade added to the
+ * list later falls inside them. The "all grades" shorthand is skipped here
+ * (see isAllGradesValue). A school without a list accepts any grade, tidied
+ * and in natural order, and its ranges stay literal.
+ *
+ * expand(collectionId, value, { allGrades, fallback }) returns the concrete
+ * codes; `fallback` stands in for the list of a school without one.
+ */
+export function buildGradeCatalog(lists = {}) {
+    const lookups = {};
+
+    for (const [collectionId, grades] of Object.entries(lists)) {
+        const byKey = new Map();
+        const position = new Map();
+
+        grades.forEach((g, i) => {
+            position.set(g.code, i);
+            for (const key of [g.code, g.label, ...g.aliases]) {
+                const k = normalizeGradeToken(key).toLowerCase();
+                if (k && !byKey.has(k)) byKey.set(k, g.code);
+            }
+        });
+
+        lookups[collectionId] = { grades, byKey, position };
+    }
+
+    const lookupFor = (collectionId) => {
+        const lookup = lookups[cleanText(collectionId)];
+        return lookup?.grades.length ? lookup : null;
+    };
+
+    // A code, or a [from, to] range of codes; "Pre-K-5" is tried at each dash
+    const resolveToken = (lookup, token) => {
+        const code = lookup.byKey.get(token.toLowerCase());
+        if (code) return { code };
+
+        for (let i = token.indexOf("-"); i > 0; i = token.indexOf("-", i + 1)) {
+            const from = lookup.byKey.get(token.slice(0, i).toLowerCase());
+            const to = lookup.byKey.get(token.slice(i + 1).toLowerCase());
+
+            if (from && to && lookup.position.get(from) <= lookup.position.get(to)) {
+                return { range: [from, to] };
+            }
+        }
+
+        return null;
+    };
+
+    const hasList = (collectionId) => !!lookupFor(collectionId);
+
+    const compare = (collectionId) => {
+        const lookup = lookupFor(collectionId);
+        if (!lookup) return compareGradesNatural;
+
+        const positionOf = (token) => {
+            const resolved = resolveToken(lookup, token);
+            const code = resolved?.code || resolved?.range?.[0];
+            return code ? lookup.position.get(code) : Infinity;
+        };
+
+        return (a, b) => {
+            const pa = positionOf(a);
+            const pb = positionOf(b);
+            return pa !== pb ? pa - pb : compareGradesNatural(a, b);
+        };
+    };
+
+    const canonicalize = (collectionId, value) => {
+        const tokens = (Array.isArray(value) ? value.flatMap(splitGradeTokens) : splitGradeTokens(value)).filter(
+            (t) => !ALL_GRADES_TOKENS.has(t.toLowerCase())
+        );
+        const lookup = lookupFor(collectionId);
+
+        if (!lookup) {
+            return { grades: [...new Set(tokens)].sort(compareGradesNatural), unknown: [] };
+        }
+
+        const grades = new Set();
+        const unknown = [];
+
+        for (const token of tokens) {
+            const resolved = resolveToken(lookup, token);
+            if (resolved?.code) grades.add(resolved.code);
+            else if (resolved?.range) grades.add(resolved.range.join("-"));
+            else unknown.push(token);
+        }
+
+        return { grades: [...grades].sort(compare(collectionId)), unknown };
+    };
+
+    const expand = (collectionId, value, { allGrades = false, fallback = [] } = {}) => {
+        const lookup = lookupFor(collectionId);
+
+        if (!lookup) {
+            const { grades } = canonicalize(collectionId, value);
+            return allGrades ? [...new Set([...fallback, ...grades])].sort(compareGradesNatural) : grades;
+        }
+
+        const codes = lookup.grades.map((g) => g.code);
+        if (allGrades) return codes;
+
+        const out = new Set();
+        for (const token of splitGradeTokens(value)) {
+            const resolved = resolveToken(lookup, token);
+            if (resolved?.code) out.add(resolved.code);
+            else if (resolved?.range) {
+                const [from, to] = resolved.range.map((c) => lookup.position.get(c));
+                for (const code of codes.slice(from, to + 1)) out.add(code);
+            } else if (!ALL_GRADES_TOKENS.has(token.toLowerCase())) {
+                // Values missing from the list are kept rather than hidden
+                out.add(token);
+            }
+        }
+
+        return [...out].sort(compare(collectionId));
+    };
+
+    const labels = (collectionId) =>
+        Object.fromEntries((lookups[cleanText(collectionId)]?.grades || []).map((g) => [g.code, g.label]));
+
+    return { hasList, canonicalize, expand, compare, labels };
+}
+
+export async function getGradeCatalog(supabase, shop) {
+    return buildGradeCatalog(await getSchoolGradeLists(supabase, shop));
+}
+
+/**
+ * Canonicalize or throw a message naming the unknown grades and the school.
+ */
+export function requireKnownGrades(catalog, collectionId, value, schoolName = "") {
+    const { grades, unknown } = catalog.canonicalize(collectionId, value);
+
+    if (unknown.length) {
+        const who = schoolName || collectionId;
+        throw new Error(
+            `Unknown grade${unknown.length > 1 ? "s" : ""} ${unknown.map((g) => `"${g}"`).join(", ")} for ${who}; add ${
+                unknown.length > 1 ? "them" : "it"
+            } to the school's grade list first`
+        );
+    }
+
+    return grades;
+}
+
+/**
+ * Parse the Grades page editor: one grade per line, "code | label | alias, alias".
+ */
+export function parseGradeListText(text) {
+    const grades = [];
+    const seen = new Set();
+
+    for (const line of String(text ?? "").split(/\r?\n/)) {
+        if (!cleanText(line)) continue;
+
+        const [codePart, labelPart, aliasPart] = line.split("|");
+        const code = normalizeGradeToken(codePart);
+        if (!code) continue;
+        if (code.includes(",")) throw new Error(`Grade codes cannot contain commas: "${code}"`);
+        if (seen.has(code.toLowerCase())) throw new Error(`Grade "${code}" is listed twice`);
+
+        seen.add(code.toLowerCase());
+        grades.push({
+            code,
+            label: cleanText(labelPart) || code,
+            aliases: cleanText(aliasPart)
+                .split(",")
+                .map(cleanText)
+                .filter(Boolean),
+        });
+    }
+
+    return grades;
+}
+
+/**
+ * Replace a school's grade list; line order becomes display order.
+ * The new rows are upserted before the old ones are deleted, so a failed save
+ * never leaves the school without a list.
+ */
+export async function saveSchoolGradeList(supabase, shop, collectionId, grades) {
+    const schools = await getSchools(supabase, shop, { includeInactive: true });
+    if (!schools.some((s) => s.collection_id === collectionId)) throw new Error("School not found");
+
+    let saved = [];
+
+    if (grades.length) {
+        const { data, error } = await supabase
+            .from(GRADES_TABLE)
+            .upsert(
+                grades.map((g, i) => ({
+                    shop,
+                    collection_id: collectionId,
+                    code: g.code,
+                    label: g.label,
+                    aliases: g.aliases,
+                    position: i,
+                })),
+                { onConflict: "shop,collection_id,code" }
+            )
+            .select("*");
+
+        if (error) throw new Error(error.message);
+        saved = data || [];
+    }
+
+    const { data: existing, error: existingErr } = await supabase
+        .from(GRADES_TABLE)
+        .select("id")
+        .eq("shop", shop)
+        .eq("collection_id", collectionId);
+
+    if (existingErr) throw new Error(existingErr.message);
+
+    const keepIds = new Set(saved.map((r) => r.id));
+    const staleIds = (existing || []).map((r) => r.id).filter((id) => !keepIds.has(id));
+
+    if (staleIds.length) {
+        const { error: delErr } = await supabase
+            .from(GRADES_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .in("id", staleIds);
+
+        if (delErr) throw new Error(delErr.message);
+    }
+
+    return saved.map(toGrade).sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Rewrite every mapping's grade to its canonical form.
+ *
+ * Without `apply` only the report is built: how many rows would change, and
+ * the values that could not be mapped (those rows are left alone).
+ */
+export async function normalizeMappingGrades(supabase, shop, { apply = false, sourceRef = null } = {}) {
+    const catalog = await getGradeCatalog(supabase, shop);
+    const schools = await getSchools(supabase, shop, { includeInactive: true });
+    const schoolNameById = Object.fromEntries(schools.map((s) => [s.collection_id, s.display_name]));
+
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(EXTERNAL_TABLE)
+            .select("id, shopify_product_id, collection_id, grade, all_grades, product_handle")
+            .eq("shop", shop)
+            .not("grade", "is", null)
+            .order("id", { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw new Error(error.message);
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    const updates = new Map();
+    const changedProductIds = new Set();
+    const unmapped = new Map();
+
+    for (const row of rows) {
+        const { grades, unknown } = catalog.canonicalize(row.collection_id, row.grade);
+
+        if (unknown.length) {
+            for (const value of unknown) {
+                const key = `${row.collection_id}|${value.toLowerCase()}`;
+                const entry = unmapped.get(key) || {
+                    collection_id: row.collection_id,
+                    school: schoolNameById[row.collection_id] || row.collection_id,
+                    value,
+                    count: 0,
+                    example_handle: row.product_handle || "",
+                };
+                entry.count += 1;
+                unmapped.set(key, entry);
+            }
+            continue;
+        }
+
+        // "All" moves to the all_grades flag rather than being dropped with the token
+        const next = grades.join(",");
+        const allGrades = hasAllGrades(row);
+        if (next === cleanText(row.grade) && allGrades === (row.all_grades === true)) continue;
+
+        const key = `${allGrades}|${next}`;
+        if (!updates.has(key)) updates.set(key, { grade: next || null, allGrades, ids: [] });
+        updates.get(key).ids.push(row.id);
+        changedProductIds.add(row.shopify_product_id);
+    }
+
+    const changed = Array.from(updates.values()).reduce((n, u) => n + u.ids.length, 0);
+
+    if (apply && changed) {
+        const history = await startMappingHistory(
+            supabase,
+            shop,
+            { productIds: Array.from(changedProductIds) },
+            { source: "admin", sourceRef }
+        );
+
+        for (const { grade, allGrades, ids } of updates.values()) {
+            for (let i = 0; i < ids.length; i += 200) {
+                const { error } = await supabase
+                    .from(EXTERNAL_TABLE)
+                    .update({ grade, all_grades: allGrades, updated_at: new Date().toISOString() })
+                    .eq("shop", shop)
+                    .in("id", ids.slice(i, i + 200));
+
+                if (error) throw new Error(error.message);
+            }
+        }
+
+        await history.record();
+    }
+
+    return {
+        scanned: rows.length,
+        changed,
+        applied: apply,
+        unmapped: Array.from(unmapped.values()).sort((a, b) => b.count - a.count),
+    };
+}
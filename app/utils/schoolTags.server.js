@@ -0,0 +1,95 @@
+// app/utils/schoolTags.server.js
+// Removes school tags from a product once no mapping justifies them any more.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getActiveSchoolLookups } from "./schools.server";
+import { toProductGid } from "./productMappings.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+/**
+ * Tags of the registered schools behind these collections.
+ */
+export async function getSchoolTagsForCollections(supabase, shop, collectionIds = []) {
+    const { tagByCollectionId } = await getActiveSchoolLookups(supabase, shop);
+
+    return [
+        ...new Set(collectionIds.map((id) => tagByCollectionId[cleanText(id)]).filter(Boolean)),
+    ];
+}
+
+/**
+ * Run tagsRemove for the candidate tags the product still carries, skipping
+ * any tag that a remaining mapping (its school's tag, or its school_tag text)
+ * still justifies.
+ */
+export async function removeUnjustifiedSchoolTags(admin, supabase, shop, productId, candidateTags = []) {
+    const productGid = toProductGid(productId);
+    const candidates = [...new Set(candidateTags.map(cleanText).filter(Boolean))];
+
+    if (!productGid || !candidates.length) return { removedTags: [], keptTags: [] };
+
+    const { data: rows, error } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("collection_id, school_tag")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .is("deleted_at", null);
+
+    if (error) throw new Error(error.message);
+
+    const { tagByCollectionId } = await getActiveSchoolLookups(supabase, shop);
+
+    const justified = new Set();
+    for (const row of rows || []) {
+        const registryTag = tagByCollectionId[cleanText(row?.collection_id)];
+        if (registryTag) justified.add(registryTag.toLowerCase());
+
+        for (const t of cleanText(row?.school_tag).split(",")) {
+            if (cleanText(t)) justified.add(cleanText(t).toLowerCase());
+        }
+    }
+
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      query ProductTags($id: ID!) {
+        product(id: $id) { id tags }
+      }
+    `,
+        { id: productGid }
+    );
+
+    const product = json?.data?.product;
+    if (!product?.id) return { removedTags: [], keptTags: candidates };
+
+    const onProduct = new Map((product.tags || []).map((t) => [cleanText(t).toLowerCase(), t]));
+
+    const keptTags = candidates.filter((t) => justified.has(t.toLowerCase()));
+    const removedTags = candidates
+        .filter((t) => !justified.has(t.toLowerCase()) && onProduct.has(t.toLowerCase()))
+        .map((t) => onProduct.get(t.toLowerCase()));
+
+    if (!removedTags.length) return { removedTags, keptTags };
+
+    const removeJson = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      mutation RemoveSchoolTags($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors { field message }
+        }
+      }
+    `,
+        { id: productGid, tags: removedTags }
+    );
+
+    const ue = removeJson?.data?.tagsRemove?.userErrors || [];
+    if (ue.length) throw new Error(ue.map((e) => e?.message || String(e)).join(" | "));
+
+    return { removedTags, keptTags };
+}
@@ -0,0 +1,174 @@
+// app/utils/schools.server.js
+// Per-shop school registry (Supabase "schools" table).
+
+const SCHOOLS_TABLE = "schools";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function toSchool(row) {
+    return {
+        id: row?.id ?? null,
+        collection_id: cleanText(row?.collection_id),
+        display_name: cleanText(row?.display_name),
+        shopify_tag: cleanText(row?.shopify_tag),
+        master_school_name: cleanText(row?.master_school_name),
+        is_active: row?.is_active !== false,
+        sync_collection_membership: row?.sync_collection_membership === true,
+        updated_at: row?.updated_at || null,
+    };
+}
+
+/**
+ * Read the schools registered for a shop, ordered by display name.
+ * Retired schools are skipped unless includeInactive is set.
+ */
+export async function getSchools(supabase, shop, { includeInactive = false } = {}) {
+    const safeShop = cleanText(shop);
+    if (!safeShop) return [];
+
+    let query = supabase
+        .from(SCHOOLS_TABLE)
+        .select("*")
+        .eq("shop", safeShop)
+        .order("display_name", { ascending: true });
+
+    if (!includeInactive) {
+        query = query.eq("is_active", true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(error.message || "Failed to fetch schools");
+    }
+
+    return (data || []).map(toSchool).filter((s) => s.collection_id);
+}
+
+/**
+ * Build the lookup maps the routes and the grade sync used to hardcode.
+ */
+export function buildSchoolLookups(schools = []) {
+    const collectionIds = new Set();
+    const schoolNameByCollectionId = {};
+    const tagByCollectionId = {};
+    const collectionIdByTag = {};
+
+    for (const school of schools) {
+        const collectionId = cleanText(school?.collection_id);
+        if (!collectionId) continue;
+
+        collectionIds.add(collectionId);
+
+        const schoolName = cleanText(school?.master_school_name) || cleanText(school?.display_name);
+        if (schoolName) schoolNameByCollectionId[collectionId] = schoolName;
+
+        const tag = cleanText(school?.shopify_tag);
+        if (tag) {
+            tagByCollectionId[collectionId] = tag;
+            collectionIdByTag[tag.toLowerCase()] = collectionId;
+        }
+    }
+
+    return {
+        collectionIds,
+        schoolNameByCollectionId,
+        tagByCollectionId,
+        collectionIdByTag,
+    };
+}
+
+export async function getActiveSchoolLookups(supabase, shop) {
+    const schools = await getSchools(supabase, shop);
+    return buildSchoolLookups(schools);
+}
+
+/**
+ * Add a school or rename an existing one (keyed by shop + collection_id).
+ */
+export async function upsertSchool(supabase, shop, school = {}) {
+    const safeShop = cleanText(shop);
+    const collectionId = cleanText(school.collection_id);
+    const displayName = cleanText(school.display_name);
+
+    if (!safeShop) throw new Error("Missing shop");
+    if (!collectionId) throw new Error("Missing collection");
+    if (!displayName) throw new Error("Missing school name");
+
+    const { data, error } = await supabase
+        .from(SCHOOLS_TABLE)
+        .upsert(
+            {
+                shop: safeShop,
+                collection_id: collectionId,
+                display_name: displayName,
+                shopify_tag: cleanText(school.shopify_tag) || null,
+                master_school_name: cleanText(school.master_school_name) || displayName,
+                is_active: school.is_active !== false,
+                updated_at: new Date().toISOString(),
+            },
+            { onConflict: "shop,collection_id" }
+        )
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    return toSchool(data);
+}
+
+/**
+ * Retire (or restore) a school without deleting its mappings.
+ */
+export async function setSchoolActive(supabase, shop, collectionId, isActive) {
+    const safeShop = cleanText(shop);
+    const safeCollectionId = cleanText(collectionId);
+
+    if (!safeShop) throw new Error("Missing shop");
+    if (!safeCollectionId) throw new Error("Missing collection");
+
+    const { data, error } = await supabase
+        .from(SCHOOLS_TABLE)
+        .update({
+            is_active: !!isActive,
+            updated_at: new Date().toISOString(),
+        })
+        .eq("shop", safeShop)
+        .eq("collection_id", safeCollectionId)
+        .select("*")
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) throw new Error("School not found");
+
+    return toSchool(data);
+}
+
+/**
+ * Opt a school in (or out) of Shopify collection membership sync.
+ */
+export async function setSchoolMembershipSync(supabase, shop, collectionId, enabled) {
+    const safeShop = cleanText(shop);
+    const safeCollectionId = cleanText(collectionId);
+
+    if (!safeShop) throw new Error("Missing shop");
+    if (!safeCollectionId) throw new Error("Missing collection");
+
+    const { data, error } = await supabase
+        .from(SCHOOLS_TABLE)
+        .update({
+            sync_collection_membership: !!enabled,
+            updated_at: new Date().toISOString(),
+        })
+        .eq("shop", safeShop)
+        .eq("collection_id", safeCollectionId)
+        .select("*")
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) throw new Error("School not found");
+
+    return toSchool(data);
+}
@@ -0,0 +1,138 @@
+// app/utils/shopData.server.js
+// Everything the app stores in Supabase for one shop.
+
+// Child tables first so foreign keys never block a purge
+export const SHOP_SCOPED_TABLES = [
+    "product_grade_collection",
+    "mapping_variant_restrictions",
+    "mapping_history",
+    "product_sort_order",
+    "master database colours",
+    "settings",
+    "school_grades",
+    "schools",
+    "shop_settings",
+    "collection_membership_log",
+    "mapping_import_runs",
+    "grade_metafield_state",
+    "catalog_snapshots",
+    "catalog_snapshot_runs",
+    "sync_job_items",
+    "sync_jobs",
+    "compliance_data_exports",
+];
+
+/**
+ * Delete every Supabase row that belongs to a shop.
+ * Returns the number of deleted rows per table.
+ */
+export async function purgeShopData(supabase, shop) {
+    const safeShop = String(shop ?? "").trim();
+    if (!safeShop) throw new Error("Missing shop");
+
+    const deleted = {};
+
+    for (const table of SHOP_SCOPED_TABLES) {
+        const { count, error } = await supabase
+            .from(table)
+            .delete({ count: "exact" })
+            .eq("shop", safeShop);
+
+        if (error) {
+            throw new Error(`Failed to purge ${table} for ${safeShop}: ${error.message}`);
+        }
+
+        deleted[table] = typeof count === "number" ? count : 0;
+    }
+
+    return deleted;
+}
+
+const UNINSTALLS_TABLE = "shop_uninstalls";
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * How long an uninstalled shop's data is kept (UNINSTALL_RETENTION_DAYS).
+ * 0 purges on the next sweep.
+ */
+export function getUninstallRetentionDays() {
+    const n = Number.parseInt(String(process.env.UNINSTALL_RETENTION_DAYS ?? ""), 10);
+    return Number.isFinite(n) && n >= 0 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * app/uninstalled: remember the shop and when its data may be purged.
+ */
+export async function scheduleShopPurge(supabase, shop, { retentionDays = getUninstallRetentionDays() } = {}) {
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from(UNINSTALLS_TABLE)
+        .upsert(
+            {
+                shop,
+                uninstalled_at: now.toISOString(),
+                purge_after: purgeAfter.toISOString(),
+                purged_at: null,
+            },
+            { onConflict: "shop" }
+        )
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    return data;
+}
+
+/**
+ * Reinstall inside the grace window: drop the pending purge, data stays as it was.
+ */
+export async function cancelShopPurge(supabase, shop) {
+    const { data, error } = await supabase
+        .from(UNINSTALLS_TABLE)
+        .delete()
+        .eq("shop", shop)
+        .is("purged_at", null)
+        .select("shop");
+
+    if (error) throw new Error(error.message);
+
+    return (data || []).length > 0;
+}
+
+/**
+ * Purge every uninstalled shop whose grace window has passed.
+ */
+export async function purgeExpiredShops(supabase, { now = new Date() } = {}) {
+    const { data: due, error } = await supabase
+        .from(UNINSTALLS_TABLE)
+        .select("shop, purge_after")
+        .is("purged_at", null)
+        .lte("purge_after", now.toISOString())
+        .order("purge_after", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const results = [];
+
+    for (const row of due || []) {
+        try {
+            const deleted = await purgeShopData(supabase, row.shop);
+
+            const { error: markErr } = await supabase
+                .from(UNINSTALLS_TABLE)
+                .update({ purged_at: new Date().toISOString() })
+                .eq("shop", row.shop);
+
+            if (markErr) throw new Error(markErr.message);
+
+            results.push({ shop: row.shop, ok: true, deleted });
+        } catch (e) {
+            results.push({ shop: row.shop, ok: false, error: e?.message || String(e) });
+        }
+    }
+
+    return results;
+}
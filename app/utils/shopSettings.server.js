@@ -0,0 +1,58 @@
+// app/utils/shopSettings.server.js
+// Shop-wide switches (Supabase "shop_settings" table, one row per shop).
+
+const SHOP_SETTINGS_TABLE = "shop_settings";
+
+const DEFAULT_SHOP_SETTINGS = {
+    grade_metafield_sync: false,
+};
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+/**
+ * Read a shop's settings, falling back to the defaults for missing values.
+ */
+export async function getShopSettings(supabase, shop) {
+    const safeShop = cleanText(shop);
+    if (!safeShop) return { ...DEFAULT_SHOP_SETTINGS };
+
+    const { data, error } = await supabase
+        .from(SHOP_SETTINGS_TABLE)
+        .select("*")
+        .eq("shop", safeShop)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    return {
+        ...DEFAULT_SHOP_SETTINGS,
+        ...Object.fromEntries(
+            Object.keys(DEFAULT_SHOP_SETTINGS)
+                .filter((k) => data?.[k] !== null && data?.[k] !== undefined)
+                .map((k) => [k, data[k]])
+        ),
+    };
+}
+
+/**
+ * Change one or more settings; unknown keys are ignored.
+ */
+export async function updateShopSettings(supabase, shop, changes = {}) {
+    const safeShop = cleanText(shop);
+    if (!safeShop) throw new Error("Missing shop");
+
+    const row = { shop: safeShop, updated_at: new Date().toISOString() };
+    for (const key of Object.keys(DEFAULT_SHOP_SETTINGS)) {
+        if (key in changes) row[key] = changes[key];
+    }
+
+    const { error } = await supabase
+        .from(SHOP_SETTINGS_TABLE)
+        .upsert(row, { onConflict: "shop" });
+
+    if (error) throw new Error(error.message);
+
+    return getShopSettings(supabase, safeShop);
+}
@@ -0,0 +1,79 @@
+// app/utils/shopifyGraphql.server.js
+// Admin GraphQL calls that respect the query cost budget.
+
+const DEFAULT_MAX_RETRIES = 5;
+
+// Keep this much of the bucket free for the admin pages while a sync runs
+const RESERVED_POINTS = 100;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getCost(json) {
+    return json?.extensions?.cost || null;
+}
+
+function isThrottled(errors) {
+    return (errors || []).some(
+        (e) => e?.extensions?.code === "THROTTLED" || /throttled/i.test(String(e?.message || ""))
+    );
+}
+
+/**
+ * How long to wait until `needed` points are available again.
+ */
+function waitMsForCost(cost, needed) {
+    const status = cost?.throttleStatus;
+    if (!status) return 0;
+
+    const available = Number(status.currentlyAvailable || 0);
+    const restoreRate = Number(status.restoreRate || 50);
+    const missing = needed - available;
+
+    if (missing <= 0) return 0;
+
+    return Math.ceil((missing / restoreRate) * 1000);
+}
+
+/**
+ * Run an Admin GraphQL query and return its JSON body.
+ * Throttled responses are retried after the bucket has refilled, and when the
+ * bucket runs low the call waits before returning so the next one fits.
+ */
+export async function graphqlWithBackoff(admin, query, variables = {}, { maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+        let json = null;
+
+        try {
+            const res = await admin.graphql(query, { variables });
+            json = await res.json();
+        } catch (e) {
+            // the admin client throws on GraphQL errors; the body is on the error
+            json = e?.body || null;
+            if (!Array.isArray(json?.errors)) throw e;
+        }
+
+        const errors = Array.isArray(json?.errors) ? json.errors : [];
+        const cost = getCost(json);
+
+        if (isThrottled(errors)) {
+            const requested = Number(cost?.requestedQueryCost || RESERVED_POINTS);
+            const waitMs = Math.max(1000, waitMsForCost(cost, requested));
+            await sleep(waitMs);
+            continue;
+        }
+
+        if (errors.length) {
+            throw new Error(errors.map((e) => e?.message || String(e)).join(" | "));
+        }
+
+        const lastCost = Number(cost?.actualQueryCost || cost?.requestedQueryCost || 0);
+        const waitMs = waitMsForCost(cost, lastCost + RESERVED_POINTS);
+        if (waitMs > 0) await sleep(waitMs);
+
+        return json;
+    }
+
+    throw new Error("Shopify API throttled the request");
+}
@@ -1,16 +1,20 @@
 import { getSupabaseAdmin } from "../supabase.server";
+import { getActiveSchoolLookups } from "./schools.server";
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getShopSettings } from "./shopSettings.server";
+import { pushGradeMetafield } from "./gradeMetafield.server";
+import { getGradeCatalog, hasAllGrades, isAllGradesValue, requireKnownGrades } from "./schoolGrades.server";
+import { startMappingHistory } from "./mappingHistory.server";
 
 const EXTERNAL_TABLE = "product_grade_collection";
 const MASTER_TABLE = "master database colours";
+const JOB_ITEMS_TABLE = "sync_job_items";
+const ITEMS_PAGE_SIZE = 1000;
 
-const COLLECTION_GID_TO_SCHOOL = {
-    "gid://shopify/Collection/276875411527": "Regina Dominican",
-    "gid://shopify/Collection/282935689287": "FSHA",
-    "gid://shopify/Collection/276875509831": "AOLP",
-    "gid://shopify/Collection/276875280455": "Castilleja",
-    "gid://shopify/Collection/276875444295": "NDB",
-    "gid://shopify/Collection/276875247687": "Marlborough",
-};
+export const GRADE_SYNC_JOB_TYPE = "grade_sync";
+// Walks the same batches but only records what it would change in sync_job_items
+export const DRY_RUN_JOB_TYPE = "grade_sync_dry_run";
+export const SYNC_JOB_TYPES = [GRADE_SYNC_JOB_TYPE, DRY_RUN_JOB_TYPE];
 
 const PRODUCT_SIZE_TYPE_BUTTONS_NAMESPACE = "custom";
 const PRODUCT_SIZE_TYPE_BUTTONS_KEY = "product_size_type_buttons";
@@ -55,9 +59,9 @@ function parseProductHandlesFromMetafield(value) {
     return uniqStrings(out);
 }
 
-function getAllowedSchoolTagFromCollections(collections = []) {
+function getAllowedSchoolTagFromCollections(collections = [], schoolNameByCollectionId = {}) {
     for (const c of collections || []) {
-        const schoolTag = COLLECTION_GID_TO_SCHOOL[String(c?.id || "")];
+        const schoolTag = schoolNameByCollectionId[String(c?.id || "")];
         if (schoolTag) {
             return {
                 schoolTag,
@@ -72,80 +76,113 @@ function getAllowedSchoolTagFromCollections(collections = []) {
     };
 }
 
-async function parseGraphql(res, { nodeGetter, nodeName = "operations" } = {}) {
-    const json = await res.json();
+function sizeList(value) {
+    if (Array.isArray(value)) return uniqStrings(value);
+    if (typeof value === "string" && value.trim()) return [value.trim()];
+    return [];
+}
+
+async function recordSyncJobItems(supabase, items) {
+    if (!items.length) return;
 
-    const gqlErr =
-        Array.isArray(json?.errors) && json.errors.length
-            ? json.errors.map((e) => e?.message || String(e)).join(" | ")
-            : null;
+    const { error } = await supabase.from(JOB_ITEMS_TABLE).insert(items);
+    if (error) throw new Error(error.message);
+}
 
-    if (gqlErr) throw new Error(gqlErr);
+function joinMessages(...parts) {
+    return parts.map(cleanText).filter(Boolean).join("; ") || null;
+}
 
-    if (!nodeGetter) return json;
+/**
+ * Opt-in custom.grade write-back; a problem here is noted on the item but does
+ * not fail the handle, whose mapping is already saved.
+ */
+async function syncGradeMetafield(admin, supabase, shop, item) {
+    try {
+        const result = await pushGradeMetafield(admin, supabase, shop, item.shopify_product_id);
+        if (result.status === "conflict") {
+            item.message = joinMessages(item.message, "custom.grade was edited in Shopify and was not overwritten");
+        }
+    } catch (e) {
+        item.message = joinMessages(item.message, `custom.grade not written: ${e?.message || String(e)}`);
+    }
+}
 
-    const node = nodeGetter(json);
-    if (!node) throw new Error(`${nodeName} returned no data`);
+/**
+ * Read the per-handle diff recorded for a job.
+ */
+export async function getSyncJobItems(supabase, shop, jobId, { limit = 250, changedOnly = false } = {}) {
+    const items = [];
 
-    const ue =
-        Array.isArray(node?.userErrors) && node.userErrors.length
-            ? node.userErrors.map((e) => e?.message || String(e)).join(" | ")
-            : null;
+    // PostgREST caps each request at max-rows (1000 by default), so read in pages
+    while (items.length < limit) {
+        const from = items.length;
+        const to = Math.min(from + ITEMS_PAGE_SIZE, limit) - 1;
 
-    if (ue) throw new Error(ue);
+        let query = supabase
+            .from(JOB_ITEMS_TABLE)
+            .select("*")
+            .eq("shop", shop)
+            .eq("job_id", jobId)
+            .order("id", { ascending: true })
+            .range(from, to);
 
-    return { json, node };
+        if (changedOnly) query = query.eq("changed", true);
+
+        const { data, error } = await query;
+        if (error) throw new Error(error.message);
+
+        items.push(...(data || []));
+        if (!data || data.length < to - from + 1) break;
+    }
+
+    return items;
 }
 
-async function fetchProductByHandleWithCollectionsAndSizes(admin, handle) {
-    const res = await admin.graphql(
-        `#graphql
-      query ProductByHandle($handle: String!, $cFirst: Int!, $cAfter: String) {
-        productByHandle(handle: $handle) {
-          id
-          title
-          handle
-          metafield(namespace: "custom", key: "product_size_type_buttons") {
-    value
-  }
-          variants(first: 250) {
-            edges { node { selectedOptions { name value } } }
-          }
-          collections(first: $cFirst, after: $cAfter) {
-            pageInfo { hasNextPage endCursor }
-            edges { node { id title handle } }
-          }
-        }
-      }
-    `,
-        { variables: { handle, cFirst: 250, cAfter: null } }
-    );
+// products(query: "handle:a OR handle:b") resolves this many handles per call
+const HANDLE_CHUNK_SIZE = 10;
+const PRODUCT_COLLECTIONS_FIRST = 50;
 
-    const json = await parseGraphql(res);
-    const p = json?.data?.productByHandle;
-    if (!p?.id) return null;
+// Sibling products looked up while resolving schools, kept across a job's
+// batches. A job that is paused, reset or fails never reaches its last batch,
+// so memos idle for SIBLING_MEMO_TTL_MS are dropped instead.
+const siblingMemoByJob = new Map();
+const MAX_SIBLING_MEMO = 5000;
+const SIBLING_MEMO_TTL_MS = 10 * 60 * 1000;
 
-    const variantEdges = p?.variants?.edges || [];
-    const sizes = [];
+function getSiblingMemo(jobId) {
+    const now = Date.now();
 
-    for (const ve of variantEdges) {
-        const opts = ve?.node?.selectedOptions || [];
-        for (const o of opts) {
-            if (String(o?.name || "").toLowerCase() === "size" && o?.value) {
-                sizes.push(o.value);
-            }
-        }
+    for (const [id, entry] of siblingMemoByJob) {
+        if (now - entry.usedAt > SIBLING_MEMO_TTL_MS) siblingMemoByJob.delete(id);
     }
 
-    let cols = (p.collections?.edges || []).map((e) => e.node).filter(Boolean);
-    let after = p.collections?.pageInfo?.endCursor || null;
-    let hasNext = !!p.collections?.pageInfo?.hasNextPage;
+    let entry = siblingMemoByJob.get(jobId);
+
+    if (!entry || entry.memo.size > MAX_SIBLING_MEMO) {
+        entry = { memo: new Map(), usedAt: now };
+        siblingMemoByJob.set(jobId, entry);
+    }
+
+    entry.usedAt = now;
+    return entry.memo;
+}
+
+function toHandleSearchQuery(handles) {
+    return handles.map((h) => `handle:${JSON.stringify(h)}`).join(" OR ");
+}
+
+async function fetchRemainingCollections(admin, productId, after) {
+    const cols = [];
+    let cursor = after;
+    let hasNext = true;
 
-    while (hasNext) {
-        const res2 = await admin.graphql(
+    while (hasNext && cursor) {
+        const json = await graphqlWithBackoff(
+            admin,
             `#graphql
-        query ProductCollections($handle: String!, $first: Int!, $after: String) {
-          productByHandle(handle: $handle) {
+        query ProductCollections($id: ID!, $first: Int!, $after: String) {
+          product(id: $id) {
             collections(first: $first, after: $after) {
               pageInfo { hasNextPage endCursor }
               edges { node { id title handle } }
@@ -153,18 +190,26 @@ async function fetchProductByHandleWithCollectionsAndSizes(admin, handle) {
           }
         }
       `,
-            { variables: { handle, first: 250, after } }
+            { id: productId, first: 250, after: cursor }
         );
 
-        const json2 = await parseGraphql(res2);
-        const conn = json2?.data?.productByHandle?.collections;
-        const edges = conn?.edges || [];
+        const conn = json?.data?.product?.collections;
+        cols.push(...(conn?.edges || []).map((e) => e.node).filter(Boolean));
 
-        cols = cols.concat(edges.map((e) => e.node).filter(Boolean));
         hasNext = !!conn?.pageInfo?.hasNextPage;
-        after = conn?.pageInfo?.endCursor || null;
+        cursor = conn?.pageInfo?.endCursor || null;
+    }
+
+    return cols;
+}
 
-        if (!after) break;
+function toSyncProduct(p, cols) {
+    const sizes = [];
+
+    for (const o of p?.options || []) {
+        if (String(o?.name || "").toLowerCase() === "size") {
+            sizes.push(...(o?.values || []));
+        }
     }
 
     const seen = new Set();
@@ -192,6 +237,87 @@ async function fetchProductByHandleWithCollectionsAndSizes(admin, handle) {
     };
 }
 
+const SYNC_PRODUCT_FIELDS = `
+                id
+                title
+                handle
+                metafield(namespace: "custom", key: "product_size_type_buttons") { value }
+                options { name values }
+                collections(first: $cFirst) {
+                  pageInfo { hasNextPage endCursor }
+                  edges { node { id title handle } }
+                }`;
+
+async function toSyncProductWithAllCollections(admin, p) {
+    let cols = (p.collections?.edges || []).map((e) => e.node).filter(Boolean);
+
+    if (p.collections?.pageInfo?.hasNextPage) {
+        cols = cols.concat(await fetchRemainingCollections(admin, p.id, p.collections.pageInfo.endCursor));
+    }
+
+    return toSyncProduct(p, cols);
+}
+
+/**
+ * Look up many handles with a few products(query:) calls.
+ * The search index lags behind recent product changes, so handles it misses
+ * are looked up one by one with productByHandle before counting as missing.
+ * Returns lowercased handle -> product; handles Shopify does not know are absent.
+ */
+export async function fetchProductsByHandles(admin, handles = []) {
+    const wanted = uniqStrings(handles);
+    const out = new Map();
+
+    for (let i = 0; i < wanted.length; i += HANDLE_CHUNK_SIZE) {
+        const chunk = wanted.slice(i, i + HANDLE_CHUNK_SIZE);
+
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        query ProductsByHandles($first: Int!, $query: String!, $cFirst: Int!) {
+          products(first: $first, query: $query) {
+            edges { node { ${SYNC_PRODUCT_FIELDS} } }
+          }
+        }
+      `,
+            {
+                first: chunk.length,
+                query: toHandleSearchQuery(chunk),
+                cFirst: PRODUCT_COLLECTIONS_FIRST,
+            }
+        );
+
+        const wantedKeys = new Set(chunk.map((h) => h.toLowerCase()));
+
+        for (const edge of json?.data?.products?.edges || []) {
+            const p = edge?.node;
+            const key = cleanText(p?.handle).toLowerCase();
+            if (!p?.id || !wantedKeys.has(key)) continue;
+
+            out.set(key, await toSyncProductWithAllCollections(admin, p));
+        }
+    }
+
+    for (const handle of wanted) {
+        if (out.has(handle.toLowerCase())) continue;
+
+        const json = await graphqlWithBackoff(
+            admin,
+            `#graphql
+        query ProductByHandle($handle: String!, $cFirst: Int!) {
+          productByHandle(handle: $handle) { ${SYNC_PRODUCT_FIELDS} }
+        }
+      `,
+            { handle, cFirst: PRODUCT_COLLECTIONS_FIRST }
+        );
+
+        const p = json?.data?.productByHandle;
+        if (p?.id) out.set(handle.toLowerCase(), await toSyncProductWithAllCollections(admin, p));
+    }
+
+    return out;
+}
+
 
 export async function processOneSyncBatch({ admin, jobId }) {
     const supabase = getSupabaseAdmin();
@@ -218,6 +344,11 @@ export async function processOneSyncBatch({ admin, jobId }) {
         return { done: true, cancelled: true };
     }
 
+    const shop = String(job.shop || "").trim();
+    if (!shop) throw new Error("Sync job has no shop");
+
+    const dryRun = job.job_type === DRY_RUN_JOB_TYPE;
+
     const batchOffset = Number(job.batch_offset || 0);
     const batchLimit = Number(job.batch_limit || 50);
 
@@ -234,6 +365,7 @@ export async function processOneSyncBatch({ admin, jobId }) {
     const { data: masterRows, error: masterErr, count: masterTotal } = await supabase
         .from(MASTER_TABLE)
         .select('"Handle","Grade"', { count: "exact" })
+        .eq("shop", shop)
         .range(batchOffset, batchOffset + batchLimit - 1);
 
     if (masterErr) {
@@ -251,6 +383,13 @@ export async function processOneSyncBatch({ admin, jobId }) {
 
     const rows = masterRows || [];
     const batchFetched = rows.length;
+    const { schoolNameByCollectionId } = await getActiveSchoolLookups(supabase, shop);
+    const { grade_metafield_sync: gradeMetafieldSync } = await getShopSettings(supabase, shop);
+    const gradeCatalog = await getGradeCatalog(supabase, shop);
+
+    // Master grade in each school's canonical form; unknown grades fail the handle
+    const canonicalGradeFor = (collectionId, grade) =>
+        requireKnownGrades(gradeCatalog, collectionId, grade, schoolNameByCollectionId[collectionId]).join(",");
 
     if (batchFetched === 0) {
         await supabase
@@ -301,118 +440,310 @@ export async function processOneSyncBatch({ admin, jobId }) {
     let insertedProducts = 0;
     let insertedRows = 0;
     let missingInShopify = 0;
+    let failedHandles = 0;
+    const items = [];
 
-    for (const hKey of keys) {
-        const entry = handleToGrade.get(hKey);
-        const handleRaw = entry?.handleRaw || hKey;
-        const grade = cleanText(entry?.grade);
+    const productsByHandle = await fetchProductsByHandles(
+        admin,
+        keys.map((k) => handleToGrade.get(k)?.handleRaw || k)
+    );
 
-        const prod = await fetchProductByHandleWithCollectionsAndSizes(admin, handleRaw);
+    // Siblings of products without a school collection, fetched once per job
+    const siblingMemo = getSiblingMemo(job.id);
+    const siblingHandles = [];
 
-        if (!prod?.id) {
-            missingInShopify += 1;
-            continue;
-        }
+    for (const prod of productsByHandle.values()) {
+        if (getAllowedSchoolTagFromCollections(prod.collections, schoolNameByCollectionId).schoolTag) continue;
 
-        const directSchool = getAllowedSchoolTagFromCollections(prod.collections || []);
-        let schoolTagValue = directSchool.schoolTag || null;
-        let parentHandleValue = null;
+        for (const relatedHandle of parseProductHandlesFromMetafield(prod.product_size_type_buttons)) {
+            const key = relatedHandle.toLowerCase();
+            if (productsByHandle.has(key) || siblingMemo.has(key)) continue;
+            siblingHandles.push(relatedHandle);
+        }
+    }
 
-        const relatedHandles = parseProductHandlesFromMetafield(prod.product_size_type_buttons);
-        const currentHandleLower = cleanText(prod.handle || handleRaw).toLowerCase();
+    if (siblingHandles.length) {
+        const siblings = await fetchProductsByHandles(admin, siblingHandles);
+        for (const h of siblingHandles) {
+            const key = h.toLowerCase();
+            siblingMemo.set(key, siblings.get(key) || null);
+        }
+    }
 
-        if (!schoolTagValue) {
-            for (const relatedHandle of relatedHandles) {
-                if (cleanText(relatedHandle).toLowerCase() === currentHandleLower) continue;
+    const findProduct = (handle) => {
+        const key = cleanText(handle).toLowerCase();
+        return productsByHandle.get(key) || siblingMemo.get(key) || null;
+    };
 
-                const siblingProd = await fetchProductByHandleWithCollectionsAndSizes(admin, relatedHandle);
-                if (!siblingProd?.id) continue;
+    for (const hKey of keys) {
+        const entry = handleToGrade.get(hKey);
+        const handleRaw = entry?.handleRaw || hKey;
+        const grade = cleanText(entry?.grade);
+        const itemCount = items.length;
+
+        try {
+            const prod = findProduct(handleRaw);
+
+            if (!prod?.id) {
+                missingInShopify += 1;
+                items.push({
+                    job_id: job.id,
+                    shop,
+                    handle: handleRaw,
+                    action: "missing",
+                    new_grade: grade || null,
+                    message: "No product with this handle in Shopify",
+                    changed: false,
+                });
+                continue;
+            }
 
-                const siblingSchool = getAllowedSchoolTagFromCollections(siblingProd.collections || []);
-                if (siblingSchool.schoolTag) {
-                    parentHandleValue = cleanText(siblingProd.handle);
-                    schoolTagValue = siblingSchool.schoolTag;
-                    break;
+            const directSchool = getAllowedSchoolTagFromCollections(
+                prod.collections || [],
+                schoolNameByCollectionId
+            );
+            let schoolTagValue = directSchool.schoolTag || null;
+            let parentHandleValue = null;
+
+            const relatedHandles = parseProductHandlesFromMetafield(prod.product_size_type_buttons);
+            const currentHandleLower = cleanText(prod.handle || handleRaw).toLowerCase();
+
+            if (!schoolTagValue) {
+                for (const relatedHandle of relatedHandles) {
+                    if (cleanText(relatedHandle).toLowerCase() === currentHandleLower) continue;
+
+                    const siblingProd = findProduct(relatedHandle);
+                    if (!siblingProd?.id) continue;
+
+                    const siblingSchool = getAllowedSchoolTagFromCollections(
+                        siblingProd.collections || [],
+                        schoolNameByCollectionId
+                    );
+                    if (siblingSchool.schoolTag) {
+                        parentHandleValue = cleanText(siblingProd.handle);
+                        schoolTagValue = siblingSchool.schoolTag;
+                        break;
+                    }
                 }
             }
-        }
 
-        const { data: existing, error: existErr } = await supabase
-            .from(EXTERNAL_TABLE)
-            .select("id,size")
-            .ilike("product_handle", handleRaw);
+            const schoolMessage = parentHandleValue
+                ? `School resolved from sibling ${parentHandleValue}`
+                : schoolTagValue
+                    ? null
+                    : "No school collection found";
 
-        if (existErr) throw new Error(existErr.message);
+            const { data: existing, error: existErr } = await supabase
+                .from(EXTERNAL_TABLE)
+                .select("id,shopify_product_id,collection_id,size,grade,all_grades,school_tag")
+                .eq("shop", shop)
+                .is("deleted_at", null)
+                .ilike("product_handle", handleRaw);
 
-        const exists = Array.isArray(existing) && existing.length > 0;
+            if (existErr) throw new Error(existErr.message);
 
-        if (exists) {
-            const mergedSizes = [];
+            const exists = Array.isArray(existing) && existing.length > 0;
 
-            for (const row of existing) {
-                const s = row?.size;
-                if (Array.isArray(s)) mergedSizes.push(...s);
-                else if (typeof s === "string" && s.trim()) mergedSizes.push(s.trim());
-            }
+            if (exists) {
+                const mergedSizes = [];
 
-            const mergedSizeArray = uniqStrings(mergedSizes);
+                for (const row of existing) {
+                    const s = row?.size;
+                    if (Array.isArray(s)) mergedSizes.push(...s);
+                    else if (typeof s === "string" && s.trim()) mergedSizes.push(s.trim());
+                }
 
-            const { data: updData, error: updErr, count } = await supabase
-                .from(EXTERNAL_TABLE)
-                .update({
-                    grade: grade || null,
+                const mergedSizeArray = uniqStrings(mergedSizes);
+
+                const gradeByRowId = new Map(
+                    existing.map((row) => [row.id, canonicalGradeFor(cleanText(row?.collection_id), grade)])
+                );
+                const newGrades = new Set(gradeByRowId.values());
+                const newGrade = gradeByRowId.get(existing[0]?.id) || "";
+
+                const oldGrade = cleanText(existing[0]?.grade);
+                const oldSchoolTag = cleanText(existing[0]?.school_tag);
+                const oldSizes = uniqStrings(existing.flatMap((row) => sizeList(row?.size)));
+
+                const item = {
+                    job_id: job.id,
+                    shop,
+                    handle: handleRaw,
+                    shopify_product_id: prod.id,
+                    action: "update",
+                    rows_affected: existing.length,
+                    old_grade: oldGrade || null,
+                    new_grade: newGrade || null,
+                    old_size: oldSizes.length ? oldSizes : null,
+                    new_size: mergedSizeArray.length ? mergedSizeArray : null,
+                    old_school_tag: oldSchoolTag || null,
+                    new_school_tag: schoolTagValue || null,
+                    parent_handle: parentHandleValue || null,
+                    message: schoolMessage,
+                    changed:
+                        existing.some((row) => cleanText(row?.grade) !== gradeByRowId.get(row.id)) ||
+                        existing.some((row) => hasAllGrades(row) !== isAllGradesValue(grade)) ||
+                        existing.some((row) => cleanText(row?.school_tag) !== cleanText(schoolTagValue)) ||
+                        oldSizes.join(",") !== mergedSizeArray.join(","),
+                };
+                items.push(item);
+
+                if (dryRun) {
+                    updatedHandles += 1;
+                    updatedRows += existing.length;
+                    continue;
+                }
+
+                const history = await startMappingHistory(
+                    supabase,
+                    shop,
+                    { productIds: [prod.id, ...existing.map((row) => row.shopify_product_id)] },
+                    { source: "sync", sourceRef: job.id }
+                );
+
+                const updateFields = {
+                    all_grades: isAllGradesValue(grade),
                     size: mergedSizeArray.length ? mergedSizeArray : null,
                     school_tag: schoolTagValue || null,
                     parent_handel: parentHandleValue || null,
                     updated_at: new Date().toISOString(),
-                })
-                .ilike("product_handle", handleRaw)
-                .select("id", { count: "exact" });
+                };
+
+                if (newGrades.size <= 1) {
+                    const { data: updData, error: updErr, count } = await supabase
+                        .from(EXTERNAL_TABLE)
+                        .update({ ...updateFields, grade: newGrade || null })
+                        .eq("shop", shop)
+                        .is("deleted_at", null)
+                        .ilike("product_handle", handleRaw)
+                        .select("id", { count: "exact" });
+
+                    if (updErr) throw new Error(updErr.message);
+
+                    if (typeof count === "number") updatedRows += count;
+                    else if (Array.isArray(updData)) updatedRows += updData.length;
+                } else {
+                    // Schools spell the same grades differently; write each row's own form
+                    for (const [rowId, rowGrade] of gradeByRowId) {
+                        const { error: updErr } = await supabase
+                            .from(EXTERNAL_TABLE)
+                            .update({ ...updateFields, grade: rowGrade || null })
+                            .eq("shop", shop)
+                            .eq("id", rowId);
+
+                        if (updErr) throw new Error(updErr.message);
+                        updatedRows += 1;
+                    }
+                }
 
-            if (updErr) throw new Error(updErr.message);
+                await history.record();
+                updatedHandles += 1;
 
-            updatedHandles += 1;
-            if (typeof count === "number") updatedRows += count;
-            else if (Array.isArray(updData)) updatedRows += updData.length;
+                if (gradeMetafieldSync) await syncGradeMetafield(admin, supabase, shop, item);
 
-            continue;
-        }
+                continue;
+            }
 
 
 
-        const cols = prod.collections || [];
-        if (cols.length === 0) continue;
+            const cols = prod.collections || [];
+            if (cols.length === 0) {
+                items.push({
+                    job_id: job.id,
+                    shop,
+                    handle: handleRaw,
+                    shopify_product_id: prod.id,
+                    action: "no_collections",
+                    new_grade: grade || null,
+                    message: "Product is not in any collection",
+                    changed: false,
+                });
+                continue;
+            }
 
-        const upsertRecords = cols.map((c) => ({
-            shopify_product_id: prod.id,
-            product_title: prod.title || null,
-            product_handle: prod.handle || handleRaw || null,
-            collection_id: c.id || null,
-            collection_title: c.title || null,
-            collection_handle: c.handle || null,
-            grade: grade || null,
-            size: prod.sizes && prod.sizes.length ? prod.sizes : null,
-            school_tag: schoolTagValue || null,
-            parent_handel: parentHandleValue || null,
-            updated_at: new Date().toISOString(),
-        }));
+            const upsertRecords = cols.map((c) => ({
+                shop,
+                shopify_product_id: prod.id,
+                product_title: prod.title || null,
+                product_handle: prod.handle || handleRaw || null,
+                collection_id: c.id || null,
+                collection_title: c.title || null,
+                collection_handle: c.handle || null,
+                grade: canonicalGradeFor(c.id, grade) || null,
+                all_grades: isAllGradesValue(grade),
+                size: prod.sizes && prod.sizes.length ? prod.sizes : null,
+                school_tag: schoolTagValue || null,
+                parent_handel: parentHandleValue || null,
+                updated_at: new Date().toISOString(),
+            }));
+
+            const item = {
+                job_id: job.id,
+                shop,
+                handle: handleRaw,
+                shopify_product_id: prod.id,
+                action: "insert",
+                rows_affected: upsertRecords.length,
+                new_grade: upsertRecords[0]?.grade || null,
+                new_size: prod.sizes && prod.sizes.length ? prod.sizes : null,
+                new_school_tag: schoolTagValue || null,
+                parent_handle: parentHandleValue || null,
+                message: schoolMessage,
+                changed: true,
+            };
+            items.push(item);
 
-        const { data: insData, error: insErr } = await supabase
-            .from(EXTERNAL_TABLE)
-            .upsert(upsertRecords, { onConflict: "shopify_product_id,collection_id" })
-            .select("id");
+            if (dryRun) {
+                insertedProducts += 1;
+                insertedRows += upsertRecords.length;
+                continue;
+            }
 
-        if (insErr) throw new Error(insErr.message);
+            const history = await startMappingHistory(
+                supabase,
+                shop,
+                { productIds: [prod.id] },
+                { source: "sync", sourceRef: job.id }
+            );
 
-        insertedProducts += 1;
-        if (Array.isArray(insData)) insertedRows += insData.length;
-        else insertedRows += upsertRecords.length;
+            const { data: insData, error: insErr } = await supabase
+                .from(EXTERNAL_TABLE)
+                .upsert(upsertRecords, { onConflict: "shop,shopify_product_id,collection_id" })
+                .select("id");
+
+            if (insErr) throw new Error(insErr.message);
+
+            await history.record();
+
+            insertedProducts += 1;
+            if (Array.isArray(insData)) insertedRows += insData.length;
+            else insertedRows += upsertRecords.length;
+
+            if (gradeMetafieldSync) await syncGradeMetafield(admin, supabase, shop, item);
+        } catch (e) {
+            // keep the batch going; the failed handle is logged with its reason
+            items.length = itemCount;
+            failedHandles += 1;
+            items.push({
+                job_id: job.id,
+                shop,
+                handle: handleRaw,
+                action: "error",
+                new_grade: grade || null,
+                message: e?.message || String(e),
+                changed: false,
+            });
+        }
     }
 
+    await recordSyncJobItems(supabase, items);
+
     const nextBatchOffset = batchOffset + batchLimit;
     const total = typeof masterTotal === "number" ? masterTotal : job.total_master;
     const hasMore = total == null ? true : nextBatchOffset < total;
 
+    if (!hasMore) siblingMemoByJob.delete(job.id);
+
     await supabase
         .from("sync_jobs")
         .update({
@@ -426,11 +757,14 @@ export async function processOneSyncBatch({ admin, jobId }) {
             inserted_products: Number(job.inserted_products || 0) + insertedProducts,
             inserted_rows: Number(job.inserted_rows || 0) + insertedRows,
             missing_in_shopify: Number(job.missing_in_shopify || 0) + missingInShopify,
+            failed_handles: Number(job.failed_handles || 0) + failedHandles,
             updated_at: new Date().toISOString(),
             completed_at: hasMore ? null : new Date().toISOString(),
             error_message: null,
         })
-        .eq("id", job.id);
+        .eq("id", job.id)
+        // a worker that lost its lock must not advance the job a second time
+        .eq("batch_offset", batchOffset);
 
     return {
         done: !hasMore,
@@ -447,6 +781,7 @@ export async function processOneSyncBatch({ admin, jobId }) {
             insertedProducts,
             insertedRows,
             missingInShopify,
+            failedHandles,
         },
     };
 }
@@ -0,0 +1,232 @@
+// app/utils/syncScheduler.server.js
+// Runs queued grade sync jobs in-process so no external cron is needed.
+
+import os from "os";
+import { randomUUID } from "crypto";
+import { getSupabaseAdmin } from "../supabase.server";
+import { unauthenticated } from "../shopify.server";
+import { processOneSyncBatch, SYNC_JOB_TYPES } from "./syncGrades.server";
+
+const JOBS_TABLE = "sync_jobs";
+
+const DEFAULT_INTERVAL_MS = 5000;
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Renew the lock this many times per timeout while a batch runs
+const HEARTBEATS_PER_TIMEOUT = 3;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+function envInt(name, fallback) {
+    const n = Number.parseInt(String(process.env[name] ?? ""), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function createWorkerId() {
+    return `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Lock the oldest queued/running job that nobody holds, or whose lock is
+ * older than SYNC_LOCK_TIMEOUT_MS (the worker holding it crashed). Jobs
+ * backing off after a failed batch wait until their next_attempt_at.
+ * The lock is taken with a compare-and-set update, so only one worker wins.
+ */
+export async function claimSyncJob(supabase, workerId, { shop = "" } = {}) {
+    const staleBefore = new Date(
+        Date.now() - envInt("SYNC_LOCK_TIMEOUT_MS", DEFAULT_LOCK_TIMEOUT_MS)
+    ).toISOString();
+
+    let query = supabase
+        .from(JOBS_TABLE)
+        .select("id, shop, locked_by, locked_at")
+        .in("job_type", SYNC_JOB_TYPES)
+        .in("status", ["queued", "running"])
+        .or(`locked_by.is.null,locked_at.lt."${staleBefore}"`)
+        .lte("next_attempt_at", new Date().toISOString())
+        .order("id", { ascending: true })
+        .limit(5);
+
+    if (shop) query = query.eq("shop", shop);
+
+    const { data: candidates, error } = await query;
+    if (error) throw new Error(error.message);
+
+    for (const candidate of candidates || []) {
+        let claim = supabase
+            .from(JOBS_TABLE)
+            .update({
+                locked_by: workerId,
+                locked_at: new Date().toISOString(),
+            })
+            .eq("id", candidate.id);
+
+        claim = candidate.locked_by
+            ? claim.eq("locked_by", candidate.locked_by).eq("locked_at", candidate.locked_at)
+            : claim.is("locked_by", null);
+
+        const { data: claimed, error: claimErr } = await claim.select("*");
+        if (claimErr) throw new Error(claimErr.message);
+
+        if (claimed?.length) {
+            if (candidate.locked_by) {
+                console.warn(`Recovered stale sync lock on job ${candidate.id} held by ${candidate.locked_by}`);
+            }
+            return claimed[0];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Keep the lock fresh between batches.
+ */
+export async function renewSyncJobLock(supabase, jobId, workerId) {
+    const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .update({ locked_at: new Date().toISOString() })
+        .eq("id", jobId)
+        .eq("locked_by", workerId)
+        .select("id");
+
+    if (error) throw new Error(error.message);
+
+    return (data || []).length > 0;
+}
+
+export async function releaseSyncJob(supabase, jobId, workerId) {
+    const { error } = await supabase
+        .from(JOBS_TABLE)
+        .update({ locked_by: null, locked_at: null })
+        .eq("id", jobId)
+        .eq("locked_by", workerId);
+
+    if (error) throw new Error(error.message);
+}
+
+/**
+ * Count a failed batch: retry later with exponential backoff, or mark the job
+ * failed after SYNC_MAX_ATTEMPTS failures in a row so it stops blocking the queue.
+ */
+async function recordFailedAttempt(supabase, job, e) {
+    const attempts = Number(job.attempts || 0) + 1;
+    const message = e?.message || String(e);
+    const giveUp = attempts >= envInt("SYNC_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+    const { error } = await supabase
+        .from(JOBS_TABLE)
+        .update({
+            attempts,
+            error_message: giveUp ? `Gave up after ${attempts} failed attempts: ${message}` : message,
+            ...(giveUp ? { status: "failed" } : { next_attempt_at: new Date(Date.now() + delay).toISOString() }),
+            updated_at: new Date().toISOString(),
+        })
+        .eq("id", job.id);
+
+    if (error) console.error(`Failed to record sync job ${job.id} failure:`, error);
+}
+
+/**
+ * Renew the lock on a timer so a batch slower than SYNC_LOCK_TIMEOUT_MS is not
+ * taken over by another worker. `lost` turns true once the lock is gone.
+ */
+function startLockHeartbeat(supabase, jobId, workerId) {
+    const heartbeat = { lost: false, timer: null };
+    const intervalMs = Math.max(
+        1000,
+        Math.floor(envInt("SYNC_LOCK_TIMEOUT_MS", DEFAULT_LOCK_TIMEOUT_MS) / HEARTBEATS_PER_TIMEOUT)
+    );
+
+    heartbeat.timer = setInterval(async () => {
+        try {
+            if (!(await renewSyncJobLock(supabase, jobId, workerId))) heartbeat.lost = true;
+        } catch (e) {
+            console.error(`Failed to renew sync lock on job ${jobId}:`, e);
+        }
+    }, intervalMs);
+    heartbeat.timer.unref?.();
+
+    return heartbeat;
+}
+
+/**
+ * Claim one job and run its batches until it is done, paused or the lock is lost.
+ */
+export async function runClaimedSyncJob(supabase, job, workerId, { maxBatches = Infinity } = {}) {
+    let batches = 0;
+    let result = null;
+    const heartbeat = startLockHeartbeat(supabase, job.id, workerId);
+
+    try {
+        const { admin } = await unauthenticated.admin(job.shop);
+
+        while (batches < maxBatches) {
+            result = await processOneSyncBatch({ admin, jobId: job.id });
+            batches += 1;
+
+            // a batch went through, so earlier failures were transient
+            if (batches === 1 && job.attempts) {
+                await supabase.from(JOBS_TABLE).update({ attempts: 0 }).eq("id", job.id);
+                job.attempts = 0;
+            }
+
+            if (result?.done || heartbeat.lost) break;
+
+            const { data: latest, error } = await supabase
+                .from(JOBS_TABLE)
+                .select("status")
+                .eq("id", job.id)
+                .maybeSingle();
+
+            if (error) throw new Error(error.message);
+            if (!["queued", "running"].includes(latest?.status)) break;
+
+            if (!(await renewSyncJobLock(supabase, job.id, workerId))) break;
+        }
+    } catch (e) {
+        await recordFailedAttempt(supabase, job, e);
+        throw e;
+    } finally {
+        clearInterval(heartbeat.timer);
+        await releaseSyncJob(supabase, job.id, workerId);
+    }
+
+    return { batches, result };
+}
+
+async function tick(state) {
+    if (state.busy) return;
+    state.busy = true;
+
+    try {
+        const supabase = getSupabaseAdmin();
+        const job = await claimSyncJob(supabase, state.workerId);
+        if (!job) return;
+
+        await runClaimedSyncJob(supabase, job, state.workerId);
+    } catch (e) {
+        console.error("Sync scheduler tick failed:", e);
+    } finally {
+        state.busy = false;
+    }
+}
+
+/**
+ * Start the scheduler once per process. Set SYNC_SCHEDULER_DISABLED=true to
+ * leave batches to api.sync-worker only.
+ */
+export function startSyncScheduler() {
+    if (process.env.SYNC_SCHEDULER_DISABLED === "true") return null;
+    if (global.syncSchedulerGlobal) return global.syncSchedulerGlobal;
+
+    const state = { workerId: createWorkerId(), busy: false, timer: null };
+    state.timer = setInterval(() => tick(state), envInt("SYNC_SCHEDULER_INTERVAL_MS", DEFAULT_INTERVAL_MS));
+    state.timer.unref?.();
+
+    global.syncSchedulerGlobal = state;
+    console.log(`Sync scheduler started (${state.workerId})`);
+
+    return state;
+}
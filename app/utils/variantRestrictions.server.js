@@ -0,0 +1,213 @@
+// app/utils/variantRestrictions.server.js
+// Optional per school / grade limits on which variants of a mapped product are valid.
+
+import { graphqlWithBackoff } from "./shopifyGraphql.server";
+import { getSchools } from "./schools.server";
+import { toCollectionGid, toProductGid } from "./productMappings.server";
+import { getGradeCatalog, requireKnownGrades } from "./schoolGrades.server";
+
+const EXTERNAL_TABLE = "product_grade_collection";
+const RESTRICTIONS_TABLE = "mapping_variant_restrictions";
+
+function cleanText(v) {
+    return String(v ?? "").trim();
+}
+
+function toVariantGid(id) {
+    const raw = cleanText(id);
+    return /^\d+$/.test(raw) ? `gid://shopify/ProductVariant/${raw}` : raw;
+}
+
+// Themes compare against the numeric variant.id
+export function toVariantNumericId(gid) {
+    const id = cleanText(gid).split("/").pop();
+    return /^\d+$/.test(id) ? Number(id) : null;
+}
+
+/**
+ * A product's variants with their option values, looked up by handle.
+ */
+export async function fetchProductVariants(admin, handle) {
+    const json = await graphqlWithBackoff(
+        admin,
+        `#graphql
+      query RestrictionProduct($handle: String!) {
+        productByHandle(handle: $handle) {
+          id
+          title
+          handle
+          variants(first: 250) {
+            edges { node { id title sku selectedOptions { name value } } }
+          }
+        }
+      }
+    `,
+        { handle: cleanText(handle) }
+    );
+
+    const p = json?.data?.productByHandle;
+    if (!p?.id) return null;
+
+    return {
+        id: p.id,
+        title: p.title || "",
+        handle: p.handle || "",
+        variants: (p.variants?.edges || []).map((e) => ({
+            id: e.node.id,
+            title: e.node.title || "",
+            sku: e.node.sku || "",
+            options: (e.node.selectedOptions || []).map((o) => `${o.name}: ${o.value}`),
+        })),
+    };
+}
+
+/**
+ * Restrictions for one school, optionally narrowed to some products.
+ * Rows are { shopify_product_id, collection_id, grade, variant_ids }; grade ""
+ * applies to every grade of the mapping.
+ */
+export async function getVariantRestrictions(supabase, shop, collectionId, { productIds = null } = {}) {
+    let query = supabase
+        .from(RESTRICTIONS_TABLE)
+        .select("shopify_product_id, collection_id, grade, variant_ids, updated_at")
+        .eq("shop", shop)
+        .eq("collection_id", toCollectionGid(collectionId));
+
+    if (productIds) {
+        if (!productIds.length) return [];
+        query = query.in("shopify_product_id", productIds.map(toProductGid));
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+
+    return data || [];
+}
+
+/**
+ * Every restriction of a shop with the product title / handle of its mapping,
+ * for the admin list.
+ */
+export async function listVariantRestrictions(supabase, shop) {
+    const { data, error } = await supabase
+        .from(RESTRICTIONS_TABLE)
+        .select("shopify_product_id, collection_id, grade, variant_ids, updated_at")
+        .eq("shop", shop)
+        .order("updated_at", { ascending: false });
+
+    if (error) throw new Error(error.message);
+
+    const rows = data || [];
+    const productIds = [...new Set(rows.map((r) => r.shopify_product_id))];
+    const products = new Map();
+
+    for (let i = 0; i < productIds.length; i += 200) {
+        const { data: mappings, error: mapErr } = await supabase
+            .from(EXTERNAL_TABLE)
+            .select("shopify_product_id, product_title, product_handle")
+            .eq("shop", shop)
+            .in("shopify_product_id", productIds.slice(i, i + 200));
+
+        if (mapErr) throw new Error(mapErr.message);
+
+        for (const m of mappings || []) products.set(m.shopify_product_id, m);
+    }
+
+    return rows.map((r) => ({
+        ...r,
+        product_title: products.get(r.shopify_product_id)?.product_title || "",
+        product_handle: products.get(r.shopify_product_id)?.product_handle || "",
+    }));
+}
+
+/**
+ * Allowed variant ids per product for a grade (or for no grade): the grade's
+ * own restriction wins over the school-wide one. Unrestricted products are
+ * left out.
+ */
+export function resolveAllowedVariants(restrictions, grade = "") {
+    const safeGrade = cleanText(grade).toLowerCase();
+    const byProduct = new Map();
+
+    for (const r of restrictions || []) {
+        const rowGrade = cleanText(r.grade).toLowerCase();
+        if (rowGrade && rowGrade !== safeGrade) continue;
+
+        const current = byProduct.get(r.shopify_product_id);
+        if (current && !rowGrade) continue;
+
+        byProduct.set(r.shopify_product_id, Array.isArray(r.variant_ids) ? r.variant_ids : []);
+    }
+
+    return byProduct;
+}
+
+/**
+ * Set the variants a school (and optionally one grade) allows for a mapped
+ * product. An empty list clears the restriction.
+ */
+export async function saveVariantRestriction(supabase, shop, { productId, collectionId, grade = "", variantIds = [] }) {
+    const productGid = toProductGid(productId);
+    const collectionGid = toCollectionGid(collectionId);
+
+    const schools = await getSchools(supabase, shop, { includeInactive: true });
+    const school = schools.find((s) => s.collection_id === collectionGid);
+    if (!school) throw new Error("School not found");
+
+    const { data: mapping, error: mapErr } = await supabase
+        .from(EXTERNAL_TABLE)
+        .select("id")
+        .eq("shop", shop)
+        .eq("shopify_product_id", productGid)
+        .eq("collection_id", collectionGid)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+    if (mapErr) throw new Error(mapErr.message);
+    if (!mapping) throw new Error(`This product is not mapped to ${school.display_name}`);
+
+    let safeGrade = "";
+    if (cleanText(grade)) {
+        const gradeCatalog = await getGradeCatalog(supabase, shop);
+        const codes = requireKnownGrades(gradeCatalog, collectionGid, grade, school.display_name);
+        if (codes.length !== 1 || gradeCatalog.expand(collectionGid, codes[0]).length !== 1) {
+            throw new Error("Choose a single grade, not a list or range");
+        }
+        safeGrade = codes[0];
+    }
+
+    const ids = [...new Set(variantIds.map(toVariantGid).filter(Boolean))];
+
+    if (!ids.length) {
+        const { error } = await supabase
+            .from(RESTRICTIONS_TABLE)
+            .delete()
+            .eq("shop", shop)
+            .eq("shopify_product_id", productGid)
+            .eq("collection_id", collectionGid)
+            .eq("grade", safeGrade);
+
+        if (error) throw new Error(error.message);
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from(RESTRICTIONS_TABLE)
+        .upsert(
+            {
+                shop,
+                shopify_product_id: productGid,
+                collection_id: collectionGid,
+                grade: safeGrade,
+                variant_ids: ids,
+                updated_at: new Date().toISOString(),
+            },
+            { onConflict: "shop,shopify_product_id,collection_id,grade" }
+        )
+        .select("*")
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    return data;
+}